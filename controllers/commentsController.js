@@ -0,0 +1,104 @@
+/**
+ * Comments Controller
+ * Purpose: Handles requests for comments and one-level replies on thoughts.
+ * Usage: Used by thoughts routes under /thoughts/:id/comments.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as commentsService from '../services/commentsService.js'
+
+// Shape a stored comment for the frontend (flat ids, userId/username)
+const formatComment = (comment) => {
+  const { user, thought, parent, replies, ...plain } = comment
+
+  return {
+    ...plain,
+    thoughtId: thought,
+    parentId: parent,
+    userId: user?._id || null,
+    username: user?.username || null,
+    ...(replies ? { replies: replies.map(formatComment) } : {})
+  }
+}
+
+export const getComments = async (req, res, next) => {
+  const { page, limit } = req.query
+
+  try {
+    const { comments, totalPages } = await commentsService.getComments(
+      req.params.id,
+      page,
+      limit
+    )
+
+    return res.status(200).json({
+      success: true,
+      response: {
+        comments: comments.map(formatComment),
+        pagination: { current: page, pages: totalPages }
+      },
+      message: 'Comments were successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const createComment = async (req, res, next) => {
+  try {
+    const { message, parentId } = req.body
+
+    const comment = await commentsService.createComment(
+      req.params.id,
+      { message, parentId },
+      req.user?.userId
+    )
+
+    return res.status(201).json({
+      success: true,
+      response: formatComment(comment),
+      message: 'Comment created successfully'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const updateComment = async (req, res, next) => {
+  try {
+    const { message } = req.body
+
+    const comment = await commentsService.updateComment(
+      req.params.id,
+      req.params.commentId,
+      message,
+      req.user?.userId
+    )
+
+    return res.json({
+      success: true,
+      response: formatComment(comment),
+      message: 'Comment was successfully updated'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const deleteComment = async (req, res, next) => {
+  try {
+    await commentsService.deleteComment(
+      req.params.id,
+      req.params.commentId,
+      req.user?.userId
+    )
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
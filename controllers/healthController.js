@@ -0,0 +1,33 @@
+/**
+ * Health Controller
+ * Purpose: Handles liveness and readiness probes for load balancers and orchestrators.
+ * Usage: Used by health routes (GET /health/live, /health/ready and /health).
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as healthService from '../services/healthService.js'
+
+/**
+ * Whether the process is up; doesn't touch any dependency
+ * @route GET /health/live
+ * @access Public
+ */
+export const getLiveness = (req, res) => {
+  res.status(200).json(healthService.getLiveness())
+}
+
+/**
+ * Whether the server can take traffic, with each dependency's status.
+ * Answers 503 while storage is down or the server is shutting down.
+ * @route GET /health/ready (also GET /health)
+ * @access Public
+ */
+export const getReadiness = async (req, res, next) => {
+  try {
+    const readiness = await healthService.getReadiness()
+    res.status(readiness.ready ? 200 : 503).json(readiness)
+  } catch (error) {
+    next(error)
+  }
+}
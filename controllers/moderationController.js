@@ -0,0 +1,169 @@
+/**
+ * Moderation Controller
+ * Purpose: Handles the moderation queue, hiding/removing thoughts, bans and role changes.
+ * Usage: Used by moderation routes under /moderation (moderator or admin role required).
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as moderationService from '../services/moderationService.js'
+import { formatThought } from '../utils/formatters.js'
+
+// Shape a user for moderators (includes role and ban state)
+const formatModeratedUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  role: user.role,
+  bannedAt: user.bannedAt,
+  banReason: user.banReason || null
+})
+
+// Moderators also see who hid a thought and its open reports
+const formatModeratedThought = (thought) => ({
+  ...formatThought(thought),
+  hiddenBy: thought.hiddenBy || null,
+  reportCount: thought.reportCount || 0,
+  ...(thought.reports ? { reports: thought.reports } : {})
+})
+
+export const reportThought = async (req, res, next) => {
+  try {
+    const { reason, details } = req.body
+
+    await moderationService.reportThought(req.params.id, {
+      reason,
+      details: details || null,
+      userId: req.user?.userId,
+      clientId: req.clientId,
+      ip: req.ip
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Thanks for the report, a moderator will take a look'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const getQueue = async (req, res, next) => {
+  const { page, limit, status } = req.query
+
+  try {
+    const { thoughts, total, totalPages } = await moderationService.getQueue(
+      page,
+      limit,
+      { status }
+    )
+
+    return res.status(200).json({
+      success: true,
+      response: {
+        thoughts: thoughts.map(formatModeratedThought),
+        total,
+        pagination: { current: page, pages: totalPages }
+      },
+      message: 'Moderation queue was successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const hideThought = async (req, res, next) => {
+  try {
+    const thought = await moderationService.hideThought(req.params.id, {
+      reason: req.body.reason || null,
+      moderatorId: req.user.userId
+    })
+
+    return res.status(200).json({
+      success: true,
+      response: formatModeratedThought(thought),
+      message: 'Thought was hidden'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const restoreThought = async (req, res, next) => {
+  try {
+    const thought = await moderationService.restoreThought(req.params.id, {
+      moderatorId: req.user.userId
+    })
+
+    return res.status(200).json({
+      success: true,
+      response: formatModeratedThought(thought),
+      message: 'Thought was restored'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const removeThought = async (req, res, next) => {
+  try {
+    await moderationService.removeThought(req.params.id)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thought was deleted'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const banUser = async (req, res, next) => {
+  try {
+    const user = await moderationService.banUser(req.params.id, {
+      reason: req.body.reason || null,
+      moderator: req.user
+    })
+
+    return res.status(200).json({
+      success: true,
+      response: formatModeratedUser(user),
+      message: 'User was banned'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const unbanUser = async (req, res, next) => {
+  try {
+    const user = await moderationService.unbanUser(req.params.id, {
+      moderator: req.user
+    })
+
+    return res.status(200).json({
+      success: true,
+      response: formatModeratedUser(user),
+      message: 'User was unbanned'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const setUserRole = async (req, res, next) => {
+  try {
+    const user = await moderationService.setUserRole(
+      req.params.id,
+      req.body.role,
+      { admin: req.user }
+    )
+
+    return res.status(200).json({
+      success: true,
+      response: formatModeratedUser(user),
+      message: `User role was set to ${user.role}`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
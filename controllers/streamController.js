@@ -0,0 +1,89 @@
+/**
+ * Stream Controller
+ * Purpose: Pushes thought events to clients over Server-Sent Events.
+ * Usage: Used by GET /thoughts/stream; events come from the events service.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import {
+  eventsSince,
+  subscribe,
+  THOUGHT_EVENTS
+} from '../services/eventsService.js'
+
+// Keeps proxies from closing an idle stream and lets clients spot a dead one
+const HEARTBEAT_MS =
+  (parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25) * 1000
+
+// How long the browser waits before reconnecting
+const RETRY_MS = 5000
+
+// Open streams, closed on shutdown so the server can finish draining
+const openStreams = new Set()
+
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`)
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Opens the stream. ?tag= limits it to thoughts with that tag. A client
+ * that reconnects with Last-Event-ID (or ?lastEventId=) first gets what it
+ * missed; if that can't be replayed it gets a "reset" event and should
+ * refetch the list.
+ */
+export const streamThoughts = (req, res) => {
+  const tag = req.query.tag ?? null
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  const send = (event) => {
+    if (!THOUGHT_EVENTS.includes(event.type)) return
+    if (tag && !event.data.tags?.includes(tag)) return
+    writeEvent(res, event)
+  }
+
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId)
+    if (missed) {
+      missed.forEach(send)
+    } else {
+      writeEvent(res, { type: 'reset', data: { reason: 'Missed events' } })
+    }
+  }
+
+  const unsubscribe = subscribe(send)
+  const heartbeat = setInterval(
+    () =>
+      writeEvent(res, {
+        type: 'heartbeat',
+        data: { time: new Date().toISOString() }
+      }),
+    HEARTBEAT_MS
+  )
+
+  openStreams.add(res)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    openStreams.delete(res)
+  })
+}
+
+/**
+ * Ends every open stream; clients reconnect after the retry delay
+ */
+export const closeAllStreams = () => {
+  for (const res of openStreams) res.end()
+  openStreams.clear()
+}
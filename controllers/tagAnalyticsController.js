@@ -0,0 +1,74 @@
+/**
+ * Tag Analytics Controller
+ * Purpose: Handles tag stats: the tag list with counts, a tag's activity over time and related tags.
+ * Usage: Used by tags routes (GET /tags, /tags/:tag/stats, /tags/related/:tag).
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as tagAnalyticsService from '../services/tagAnalyticsService.js'
+
+/**
+ * Every tag with its thought count, hearts and lastUsedAt
+ * @route GET /tags?sort=popular|hearts|recent|name
+ * @access Public
+ */
+export const listTags = async (req, res, next) => {
+  try {
+    const { sort } = req.query
+    const tags = await tagAnalyticsService.listTags({ sort })
+
+    res.status(200).json({
+      success: true,
+      response: tags,
+      message: 'Tags were successfully fetched'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * A tag's totals, time series and most common companion tags
+ * @route GET /tags/:tag/stats?interval=day|week|month&since=&until=
+ * @access Public
+ */
+export const getTagStats = async (req, res, next) => {
+  try {
+    const { interval, since, until } = req.query
+    const stats = await tagAnalyticsService.getTagStats(req.params.tag, {
+      interval,
+      since,
+      until
+    })
+
+    res.status(200).json({
+      success: true,
+      response: stats,
+      message: `Stats for tag "${stats.tag}" were successfully fetched`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Tags most often used on the same thoughts
+ * @route GET /tags/related/:tag?limit=
+ * @access Public
+ */
+export const getRelatedTags = async (req, res, next) => {
+  try {
+    const related = await tagAnalyticsService.getRelatedTags(req.params.tag, {
+      limit: req.query.limit
+    })
+
+    res.status(200).json({
+      success: true,
+      response: related,
+      message: `Tags related to "${related.tag}" were successfully fetched`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
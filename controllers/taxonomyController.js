@@ -0,0 +1,93 @@
+/**
+ * Taxonomy Controller
+ * Purpose: Handles the tag categories (keywords and emojis) thoughts are tagged with.
+ * Usage: Used by tags routes under /tags/categories (admin role required to change them).
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as taxonomyService from '../services/taxonomyService.js'
+
+// Taxonomy changes only reach existing thoughts through a re-tag
+const RETAG_HINT = 'run POST /tags/retag to apply it to existing thoughts'
+
+export const listCategories = async (req, res, next) => {
+  try {
+    const categories = await taxonomyService.listCategories()
+
+    res.status(200).json({
+      success: true,
+      response: categories,
+      message: 'Tag categories were successfully fetched'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const getCategory = async (req, res, next) => {
+  try {
+    const category = await taxonomyService.getCategory(req.params.name)
+
+    res.status(200).json({
+      success: true,
+      response: category,
+      message: 'Tag category was successfully fetched'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, description, keywords, emojis } = req.body
+    const category = await taxonomyService.createCategory({
+      name,
+      description,
+      keywords,
+      emojis
+    })
+
+    res.status(201).json({
+      success: true,
+      response: category,
+      message: `Tag category was created, ${RETAG_HINT}`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { name, description, keywords, emojis } = req.body
+    const category = await taxonomyService.updateCategory(req.params.name, {
+      name,
+      description,
+      keywords,
+      emojis
+    })
+
+    res.status(200).json({
+      success: true,
+      response: category,
+      message: `Tag category was updated, ${RETAG_HINT}`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const deleteCategory = async (req, res, next) => {
+  try {
+    await taxonomyService.deleteCategory(req.params.name)
+
+    res.status(200).json({
+      success: true,
+      message: `Tag category was deleted, ${RETAG_HINT}`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
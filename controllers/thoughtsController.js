@@ -3,65 +3,87 @@
  * Purpose: Handles business logic for thoughts (CRUD, likes, etc.).
  * Usage: Used by routes to process requests and interact with models/services.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
-/**
- * Thoughts Controller
- * Purpose: Handles business logic for thoughts (CRUD, likes, etc.).
- * Usage: Used by routes to process requests and interact with models/services.
- * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
-import mongoose from 'mongoose'
-
-import Thought from '../models/Thought.js'
-import { ThoughtsModel } from '../models/thoughtsModel.js'
+import * as authService from '../services/authService.js'
 import * as thoughtsService from '../services/thoughtsService.js'
 import {
-  AuthorizationError,
+  AuthenticationError,
   NotFoundError,
   ValidationError
 } from '../utils/errors.js'
+import { formatThought, viewerOf } from '../utils/formatters.js'
+import { HEART, REACTIONS } from '../utils/reactions.js'
+
+// Anonymous clients without a client token get one with their first like
+// or reaction, to send as X-Client-Token from then on
+const ensureClientToken = (req, res) => {
+  if (req.user || req.clientId) return null
+
+  const { clientId, clientToken } = authService.issueClientToken()
+  req.clientId = clientId
+  res.set('X-Client-Token', clientToken)
+  return clientToken
+}
 
+/**
+ * List thoughts with sorting and filtering.
+ * Pass `cursor` (from the previous nextCursor) for stable keyset pagination;
+ * `page` keeps the old page-number pagination working for existing clients.
+ * @route GET /thoughts?cursor=&page=&limit=&sort=&tag=&author=&since=&until=&hasLikes=&mood=
+ * @access Public
+ */
 export const getAllThoughts = async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1
-  const limit = parseInt(req.query.limit, 10) || 10
-
   try {
-    // Populate user data to get username
-    const { thoughts, totalPages } = await thoughtsService.getPaginatedThoughts(
-      page,
-      limit,
-      true // Add populate flag
-    )
-    const tagger = new ThoughtsModel(false)
+    // Query parameters are checked and converted by validate(listThoughts)
+    const { cursor, page, limit, sort } = req.query
 
-    const payload = thoughts.map((doc) => {
-      const t = doc.toObject()
+    if (cursor && page !== undefined) {
+      throw new ValidationError('Use either cursor or page, not both')
+    }
 
-      if (!t.themeTags?.length) {
-        t.themeTags = t.tags?.length
-          ? [...t.tags]
-          : tagger.identifyTags(t.message)
-      }
+    const { tag, author, since, until, hasLikes, mood } = req.query
+    const filters = { tag, author, since, until, hasLikes, mood }
 
-      if (t.user) {
-        t.userId = t.user._id?.toString() || t.user.toString()
-        t.username = t.user.username || null
-      } else {
-        t.userId = null
-        t.username = null
-      }
-      delete t.user
+    if (page !== undefined) {
+      const { thoughts, totalPages } =
+        await thoughtsService.getPaginatedThoughts(page, limit, {
+          sort,
+          filters
+        })
 
-      return t
-    })
+      return res.status(200).json({
+        success: true,
+        response: {
+          thoughts: thoughts.map((thought) =>
+            formatThought(thought, viewerOf(req))
+          ),
+          pagination: { current: page, pages: totalPages, limit }
+        },
+        message: 'All thoughts were successfully fetched'
+      })
+    }
+
+    const { thoughts, nextCursor, totalPages } =
+      await thoughtsService.getThoughtsByCursor({
+        cursor,
+        limit,
+        sort,
+        filters
+      })
 
     return res.status(200).json({
       success: true,
       response: {
-        thoughts: payload,
-        pagination: { current: page, pages: totalPages }
+        thoughts: thoughts.map((thought) =>
+          formatThought(thought, viewerOf(req))
+        ),
+        // Without a cursor this is page 1, so current and pages are kept
+        // for clients that load the first page without ?page=
+        pagination: cursor
+          ? { limit, nextCursor }
+          : { current: 1, pages: totalPages, limit, nextCursor }
       },
       message: 'All thoughts were successfully fetched'
     })
@@ -70,73 +92,103 @@ export const getAllThoughts = async (req, res, next) => {
   }
 }
 
-export const getThoughtById = async (req, res, next) => {
+/**
+ * Home feed: thoughts from followed users, newest first
+ * @route GET /thoughts/feed?cursor=&limit=
+ * @access Private
+ */
+export const getFeed = async (req, res, next) => {
   try {
-    const thought = await thoughtsService.getThoughtById(req.params.id, true)
-    if (!thought) throw new NotFoundError('Thought not found')
-
-    const plain = thought.toObject ? thought.toObject() : thought
-    if (!plain.themeTags?.length) {
-      plain.themeTags = plain.tags?.length
-        ? [...plain.tags]
-        : new ThoughtsModel(false).identifyTags(plain.message)
-    }
-
-    if (plain.user) {
-      if (plain.user.username) {
-        // User is populated
-        plain.userId = plain.user._id.toString()
-        plain.username = plain.user.username
-      } else {
-        // User is just an ObjectId
-        plain.userId = plain.user.toString()
-        plain.username = null
-      }
-    } else {
-      plain.userId = null
-      plain.username = null
-    }
-    delete plain.user
+    const { cursor, limit } = req.query
+    const { thoughts, nextCursor } = await thoughtsService.getFeed(
+      req.user.userId,
+      { cursor, limit }
+    )
 
     return res.status(200).json({
       success: true,
-      response: plain,
-      message: 'Thought was successfully fetched'
+      response: {
+        thoughts: thoughts.map((thought) =>
+          formatThought(thought, viewerOf(req))
+        ),
+        pagination: { limit, nextCursor }
+      },
+      message: 'Feed was successfully fetched'
     })
   } catch (err) {
     next(err)
   }
 }
 
-export const createThought = async (req, res, next) => {
+/**
+ * Full-text search with relevance ranking and highlighted snippets
+ * @route GET /thoughts/search?q=&tag=&author=&since=&until=&minHearts=
+ * @access Public
+ */
+export const searchThoughts = async (req, res, next) => {
   try {
-    const { message } = req.body
-    const { userId, username } = req.user || {}
+    const {
+      q: query,
+      tag,
+      author,
+      since,
+      until,
+      minHearts,
+      page,
+      limit
+    } = req.query
 
-    console.log('Create request - User ID:', userId, 'Username:', username)
+    const { thoughts, total, totalPages } =
+      await thoughtsService.searchThoughts(
+        { query, tag, author, since, until, minHearts },
+        page,
+        limit
+      )
 
-    const fileModel = new ThoughtsModel(false)
-    const generatedTags = fileModel.identifyTags(message)
+    return res.status(200).json({
+      success: true,
+      response: {
+        thoughts: thoughts.map((thought) =>
+          formatThought(thought, viewerOf(req))
+        ),
+        pagination: { current: page, pages: totalPages, total }
+      },
+      message: `Found ${total} thoughts matching "${query}"`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
 
-    const thoughtData = {
-      message: message.trim(),
-      hearts: 0,
-      likes: [],
-      tags: generatedTags,
-      themeTags: generatedTags,
-      ...(userId ? { user: userId } : {})
-    }
+export const getThoughtById = async (req, res, next) => {
+  try {
+    const thought = await thoughtsService.getThoughtById(
+      req.params.id,
+      req.user?.userId
+    )
+    if (!thought) throw new NotFoundError('Thought')
 
-    const created = await Thought.create(thoughtData)
-    const plain = created.toObject()
+    return res.status(200).json({
+      success: true,
+      response: formatThought(thought, viewerOf(req)),
+      message: 'Thought was successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
 
-    plain.userId = userId || null
-    plain.username = username || null
-    delete plain.user
+export const createThought = async (req, res, next) => {
+  try {
+    const { message } = req.body
+    const created = await thoughtsService.createThought(
+      message,
+      req.user?.userId
+    )
 
     return res.status(201).json({
       success: true,
-      response: plain,
+      response: formatThought(created, viewerOf(req)),
       message: 'Thought created successfully'
     })
   } catch (err) {
@@ -146,115 +198,81 @@ export const createThought = async (req, res, next) => {
 
 export const likeThought = async (req, res, next) => {
   try {
-    const thoughtId = req.params.id
-    const thought = await Thought.findById(thoughtId)
+    const clientToken = ensureClientToken(req, res)
+    const viewer = viewerOf(req) // userId for users, clientId for anonymous
 
-    if (!thought) {
-      return res
-        .status(404)
-        .json({ success: false, message: 'Thought not found' })
-    }
-
-    const userId = req.user?.userId // May be undefined for anonymous users
-
-    console.log('LIKE REQUEST:', {
-      auth: req.headers.authorization ? 'Has auth header' : 'No auth header',
-      userId: req.user?.userId,
-      thoughtId: req.params.id,
-      action: req.body.action
+    const thought = await thoughtsService.likeThought(req.params.id, {
+      ...viewer,
+      action: req.body.action // "like" or "unlike" pin the state
     })
+    const formatted = formatThought(thought, viewer)
 
-    if (userId) {
-      try {
-        // Convert userId to ObjectId before adding to likes array
-        const userObjectId = new mongoose.Types.ObjectId(userId)
-
-        // Check both ways - using either string comparison or ObjectId equality
-        const alreadyLiked = thought.likes.some(
-          (id) =>
-            id.toString() === userId ||
-            (id instanceof mongoose.Types.ObjectId && id.equals(userObjectId))
-        )
-
-        if (alreadyLiked) {
-          // Remove both string and ObjectId versions
-          thought.likes = thought.likes.filter(
-            (id) =>
-              id.toString() !== userId &&
-              !(
-                id instanceof mongoose.Types.ObjectId && id.equals(userObjectId)
-              )
-          )
-        } else {
-          // Add using ObjectId
-          thought.likes.push(userObjectId)
-        }
-
-        // Update heart count
-        thought.hearts = thought.likes.length
-
-        console.log('Thought likes after update:', {
-          likes: thought.likes.map((id) => id.toString()),
-          userId,
-          contains: thought.likes.some((id) => id.toString() === userId)
-        })
-      } catch (err) {
-        console.error('Error converting userId to ObjectId:', err)
-      }
-    } else {
-      // ANONYMOUS USER: Just toggle the heart count
-      // Option 1: Simple increment/decrement using client-side state
-      // We don't know if they've liked before, so rely on frontend to send current state
-      const action = req.body.action // "like" or "unlike"
-
-      if (action === 'like') {
-        thought.anonymousHearts = (thought.anonymousHearts || 0) + 1
-      } else if (action === 'unlike') {
-        thought.anonymousHearts = Math.max(
-          0,
-          (thought.anonymousHearts || 0) - 1
-        )
+    return res.json({
+      success: true,
+      response: {
+        ...formatted,
+        isLikedByCurrentUser: formatted.myReaction === HEART,
+        ...(clientToken ? { clientToken } : {})
       }
+    })
+  } catch (err) {
+    next(err)
+  }
+}
 
-      // Total hearts = authenticated likes + anonymous hearts
-      thought.hearts = thought.likes.length + (thought.anonymousHearts || 0)
-    }
-
-    await thought.save()
+export const reactToThought = async (req, res, next) => {
+  try {
+    const { reaction } = req.body
+    const clientToken = ensureClientToken(req, res)
+    const viewer = viewerOf(req)
+    const thought = await thoughtsService.reactToThought(
+      req.params.id,
+      reaction,
+      viewer
+    )
 
-    console.log('AFTER LIKE:', {
-      userId,
-      likesArray: thought.likes.map((id) => id.toString()),
-      likesCount: thought.likes.length,
-      hearts: thought.hearts
+    return res.json({
+      success: true,
+      response: {
+        ...formatThought(thought, viewer),
+        ...(clientToken ? { clientToken } : {})
+      },
+      message: 'Reaction was saved'
     })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const removeReaction = async (req, res, next) => {
+  try {
+    const viewer = viewerOf(req)
+    const thought = await thoughtsService.removeReaction(req.params.id, viewer)
 
     return res.json({
       success: true,
-      response: {
-        ...thought.toObject(),
-        isLikedByCurrentUser: userId
-          ? thought.likes.some((id) => id.toString() === userId)
-          : false
-      }
+      response: formatThought(thought, viewer),
+      message: 'Reaction was removed'
     })
   } catch (err) {
     next(err)
   }
 }
 
+export const getReactions = (req, res) => {
+  res.json({
+    success: true,
+    response: REACTIONS,
+    message: 'Available reactions were successfully fetched'
+  })
+}
+
 export const updateThought = async (req, res, next) => {
   try {
     const { id } = req.params
     const { message, tags, preserveTags } = req.body
     const userId = req.user?.userId
 
-    console.log('Update request - User ID:', userId, 'Thought ID:', id)
-
-    if (!message || message.trim().length < 5) {
-      throw new ValidationError('Message is too short (min 5 characters)')
-    }
-
     const updated = await thoughtsService.updateThought(
       id,
       { message, tags, preserveTags },
@@ -263,7 +281,7 @@ export const updateThought = async (req, res, next) => {
 
     return res.json({
       success: true,
-      response: updated,
+      response: formatThought(updated, viewerOf(req)),
       message: 'Thought was successfully updated'
     })
   } catch (err) {
@@ -271,18 +289,40 @@ export const updateThought = async (req, res, next) => {
   }
 }
 
+/**
+ * A thought's earlier versions, oldest first, with the current version
+ * @route GET /thoughts/:id/revisions
+ * @access Private (author or moderator)
+ */
+export const getThoughtRevisions = async (req, res, next) => {
+  try {
+    const { thought, revisions } = await thoughtsService.listThoughtRevisions(
+      req.params.id,
+      req.user.userId
+    )
+
+    return res.status(200).json({
+      success: true,
+      response: {
+        thought: formatThought(thought, viewerOf(req)),
+        revisions
+      },
+      message: 'Thought revisions were successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
 export const deleteThought = async (req, res, next) => {
   try {
     const { id } = req.params
     const userId = req.user?.userId
 
-    console.log('Delete request - User ID:', userId, 'Thought ID:', id)
-
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required to delete thoughts'
-      })
+      throw new AuthenticationError(
+        'Authentication required to delete thoughts'
+      )
     }
 
     // Use the service layer (like other endpoints do)
@@ -297,13 +337,31 @@ export const deleteThought = async (req, res, next) => {
   }
 }
 
+/**
+ * Trending thoughts: hearts given in the window over the thought's age
+ * @route GET /thoughts/trending?window=hour|day|week|all&tag=&page=&limit=
+ * @access Public
+ */
 export const getTrendingThoughts = async (req, res, next) => {
   try {
-    const trendingThoughts = await thoughtsService.getTrendingThoughts()
+    const { window, tag, page, limit } = req.query
+
+    const { thoughts, total, totalPages } =
+      await thoughtsService.getTrendingThoughts({
+        window,
+        tag: tag ?? null,
+        page,
+        limit
+      })
 
     res.status(200).json({
       success: true,
-      response: trendingThoughts,
+      response: {
+        thoughts: thoughts.map((thought) =>
+          formatThought(thought, viewerOf(req))
+        ),
+        pagination: { current: page, pages: totalPages, total }
+      },
       message: 'Trending thoughts were successfully fetched'
     })
   } catch (error) {
@@ -311,19 +369,44 @@ export const getTrendingThoughts = async (req, res, next) => {
   }
 }
 
-export const getThoughtsByTag = async (req, res, next) => {
+/**
+ * Mood of visible thoughts over time, per day (last 30 days by default),
+ * week (26 weeks) or month (12 months)
+ * @route GET /thoughts/mood?interval=&since=&until=&tag=&author=
+ * @access Public
+ */
+export const getMoodOverTime = async (req, res, next) => {
   try {
-    // Validate tag parameter
-    if (!req.params.tag) {
-      throw new ValidationError('Tag parameter is required')
-    }
+    const { interval, since, until, tag, author } = req.query
+
+    const summary = await thoughtsService.getMoodOverTime({
+      interval,
+      since,
+      until,
+      tag,
+      author
+    })
 
-    const tag = req.params.tag.toLowerCase()
+    res.status(200).json({
+      success: true,
+      response: summary,
+      message: 'Mood over time was successfully fetched'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const getThoughtsByTag = async (req, res, next) => {
+  try {
+    const { tag } = req.params
     const thoughts = await thoughtsService.getThoughtsByTag(tag)
 
     res.status(200).json({
       success: true,
-      response: thoughts,
+      response: thoughts.map((thought) =>
+        formatThought(thought, viewerOf(req))
+      ),
       message: `Thoughts with tag "${tag}" were successfully fetched`
     })
   } catch (error) {
@@ -331,28 +414,53 @@ export const getThoughtsByTag = async (req, res, next) => {
   }
 }
 
-export const getAllTags = async (req, res, next) => {
+export const renameTag = async (req, res, next) => {
   try {
-    const tags = await thoughtsService.getAllTags()
+    const { name } = req.body
+    const updatedCount = await thoughtsService.renameTag(req.params.tag, name)
 
     res.status(200).json({
       success: true,
-      response: tags,
-      message: 'Tags were successfully fetched'
+      response: { tag: name, updatedCount },
+      message: `Tag was renamed on ${updatedCount} thoughts`
     })
   } catch (error) {
     next(error)
   }
 }
 
-export const autoTagThoughts = async (req, res, next) => {
+export const deleteTag = async (req, res, next) => {
   try {
-    const updatedCount = await thoughtsService.updateExistingThoughtsWithTags()
+    const updatedCount = await thoughtsService.deleteTag(req.params.tag)
 
     res.status(200).json({
       success: true,
       response: { updatedCount },
-      message: `Successfully auto-tagged ${updatedCount} thoughts`
+      message: `Tag was removed from ${updatedCount} thoughts`
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Re-tag all thoughts and comments after taxonomy changes.
+ * dryRun=true reports what would change without saving anything.
+ * @route POST /tags/retag?dryRun=
+ * @access Admin
+ */
+export const autoTagThoughts = async (req, res, next) => {
+  try {
+    const { dryRun } = req.query
+    const result = await thoughtsService.retagContent({ dryRun })
+    const updatedCount = result.thoughts.updated
+
+    res.status(200).json({
+      success: true,
+      response: { ...result, updatedCount },
+      message: dryRun
+        ? `Re-tagging would change ${updatedCount} thoughts`
+        : `Successfully auto-tagged ${updatedCount} thoughts`
     })
   } catch (error) {
     next(error)
@@ -362,39 +470,24 @@ export const autoTagThoughts = async (req, res, next) => {
 export const getLikedThoughts = async (req, res, next) => {
   try {
     const userId = req.user?.userId
-    console.log('GET LIKED THOUGHTS REQUEST:', { userId })
 
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      })
+      throw new AuthenticationError()
     }
 
-    // Create ObjectId for MongoDB query
-    const objectId = new mongoose.Types.ObjectId(userId)
-
-    // Try this simpler query approach
-    const likedThoughts = await Thought.find({
-      likes: {
-        $in: [userId, objectId]
-      }
-    }).sort({ createdAt: -1 })
-
-    console.log(
-      `Found ${likedThoughts.length} liked thoughts for user ${userId}`
-    )
+    const likedThoughts = await thoughtsService.getLikedThoughts(userId)
 
     return res.json({
       success: true,
-      response: likedThoughts,
+      response: likedThoughts.map((thought) =>
+        formatThought(thought, viewerOf(req))
+      ),
       message:
         likedThoughts.length > 0
           ? 'Liked thoughts were successfully fetched'
           : ''
     })
   } catch (err) {
-    console.error('ERROR in getLikedThoughts:', err)
     return next(err)
   }
 }
@@ -3,56 +3,41 @@
  * Purpose: Handles business logic for user authentication and profile management.
  * Usage: Used by routes to process user-related requests.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
-import jwt from 'jsonwebtoken'
-import mongoose from 'mongoose'
-
-import Thought from '../models/Thought.js'
-import User from '../models/User.js'
-import { ValidationError } from '../utils/errors.js'
-
-const JWT_SECRET = process.env.JWT_SECRET
+import * as authService from '../services/authService.js'
+import * as passwordService from '../services/passwordService.js'
+import * as thoughtsService from '../services/thoughtsService.js'
+import * as userService from '../services/userService.js'
+import { AuthenticationError, ValidationError } from '../utils/errors.js'
+import { formatThought, viewerOf } from '../utils/formatters.js'
 
 export const registerUser = async (req, res, next) => {
   try {
-    const { username, password } = req.body
-
-    // Validation
-    if (!username || !password) {
-      throw new ValidationError('Username and password are required')
-    }
-
-    if (password.length < 6) {
-      throw new ValidationError('Password must be at least 6 characters long')
-    }
+    // Username, password policy and email are checked by validate(registerUser)
+    const { username, password, email } = req.body
 
-    if (username.length < 3) {
-      throw new ValidationError('Username must be at least 3 characters long')
-    }
+    // Create new user
+    const user = await userService.registerUser({ username, password, email })
 
-    // Check if username already exists
-    const existingUser = await User.findOne({ username })
-    if (existingUser) {
-      throw new ValidationError('Username already exists')
+    // Likes and reactions made anonymously from this browser now belong to the account
+    if (req.clientId) {
+      await thoughtsService.claimAnonymousReactions(req.clientId, user._id)
     }
 
-    // Create new user
-    const user = new User({ username, password })
-    await user.save()
-
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id.toString(), username: user.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    // Start a session: short-lived access token + refresh token
+    const { token, refreshToken, expiresIn } = await authService.createSession(
+      user,
+      { userAgent: req.get('user-agent') }
     )
 
     return res.status(201).json({
       success: true,
       response: {
-        user: { id: user._id.toString(), username: user.username },
-        token
+        user: { id: user._id, username: user.username },
+        token,
+        refreshToken,
+        expiresIn
       },
       message: 'User registered successfully'
     })
@@ -65,30 +50,27 @@ export const loginUser = async (req, res, next) => {
   try {
     const { username, password } = req.body
 
-    if (!username || !password) {
-      throw new ValidationError('Username and password are required')
-    }
-
-    // Find user by username
-    const user = await User.findOne({ username })
+    // Find user by username and check the password
+    const user = await userService.verifyCredentials(username, password)
 
-    if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      })
+    if (!user) {
+      throw new AuthenticationError(
+        'Invalid credentials',
+        'INVALID_CREDENTIALS'
+      )
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    // Start a session: short-lived access token + refresh token
+    const { token, refreshToken, expiresIn } = await authService.createSession(
+      user,
+      { userAgent: req.get('user-agent') }
     )
 
     res.json({
       success: true,
       token: token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username
@@ -100,6 +82,152 @@ export const loginUser = async (req, res, next) => {
   }
 }
 
+/**
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ * @route POST /users/refresh
+ * @access Public (requires refresh token)
+ */
+export const refreshAccessToken = async (req, res, next) => {
+  try {
+    const session = await authService.refreshSession(req.body.refreshToken)
+
+    res.json({
+      success: true,
+      response: session,
+      message: 'Token refreshed successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * End the current session (from the access token or a refresh token)
+ * @route POST /users/logout
+ * @access Public (requires access or refresh token)
+ */
+export const logoutUser = async (req, res, next) => {
+  try {
+    const sessionId = req.user?.sessionId
+    const { refreshToken } = req.body
+
+    if (!sessionId && !refreshToken) {
+      throw new ValidationError('Access token or refresh token is required')
+    }
+
+    await authService.logout({ sessionId, refreshToken })
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * End every session of the current user
+ * @route POST /users/logout-all
+ * @access Private
+ */
+export const logoutAllSessions = async (req, res, next) => {
+  try {
+    const revoked = await authService.logoutAll(req.user.userId)
+
+    res.json({
+      success: true,
+      response: { revokedSessions: revoked },
+      message: 'Logged out of all sessions'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Issue a signed token that identifies an anonymous client (for likes)
+ * @route POST /users/client-token
+ * @access Public
+ */
+export const createClientToken = (req, res) => {
+  const { clientToken } = authService.issueClientToken()
+
+  res.status(201).json({
+    success: true,
+    response: { clientToken },
+    message: 'Send this token as X-Client-Token with anonymous requests'
+  })
+}
+
+/**
+ * Change the current user's password (signs out other sessions)
+ * @route POST /users/me/password
+ * @access Private
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    await passwordService.changePassword(
+      req.user.userId,
+      { currentPassword, newPassword },
+      { sessionId: req.user.sessionId }
+    )
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Request a password reset link by username or email
+ * @route POST /users/password-reset
+ * @access Public
+ */
+export const requestPasswordReset = async (req, res, next) => {
+  try {
+    const { username, email } = req.body
+
+    if (!username && !email) {
+      throw new ValidationError('Username or email is required')
+    }
+
+    await passwordService.requestPasswordReset({ username, email })
+
+    // Same answer whether or not the account exists
+    res.status(202).json({
+      success: true,
+      message:
+        'If the account exists and has an email address, a reset link has been sent'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Set a new password with a reset token (signs out every session)
+ * @route POST /users/password-reset/:token
+ * @access Public (requires reset token)
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    await passwordService.resetPassword(req.params.token, req.body.newPassword)
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in again'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 /**
  * Get thoughts liked by the current user
  * @route GET /users/liked-thoughts
@@ -108,43 +236,184 @@ export const loginUser = async (req, res, next) => {
 export const getLikedThoughts = async (req, res, next) => {
   try {
     const userId = req.user?.userId
-    console.log('GET LIKED THOUGHTS REQUEST:', { userId })
 
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      })
+      throw new AuthenticationError()
     }
 
-    // Option 1: Try this simpler query first
-    const objectId = new mongoose.Types.ObjectId(userId)
-    let likedThoughts = await Thought.find({ likes: objectId }).sort({
-      createdAt: -1
+    const likedThoughts = await thoughtsService.getLikedThoughts(userId)
+
+    return res.json({
+      success: true,
+      response: likedThoughts.map((thought) =>
+        formatThought(thought, viewerOf(req))
+      ),
+      message: ''
     })
+  } catch (err) {
+    return next(err)
+  }
+}
 
-    // If that didn't work, try a more flexible query
-    if (likedThoughts.length === 0) {
-      likedThoughts = await Thought.find({
-        likes: { $in: [userId, objectId] }
-      }).sort({ createdAt: -1 })
+/**
+ * Public profile for a user
+ * @route GET /users/:username
+ * @access Public
+ */
+export const getUserProfile = async (req, res, next) => {
+  try {
+    const profile = await userService.getPublicProfile(req.params.username)
 
-      console.log(
-        `Found ${likedThoughts.length} liked thoughts with flexible query`
-      )
-    }
+    return res.status(200).json({
+      success: true,
+      response: profile,
+      message: 'User profile was successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Paginated non-anonymous thoughts written by a user
+ * @route GET /users/:username/thoughts
+ * @access Public
+ */
+export const getUserThoughts = async (req, res, next) => {
+  const { page, limit } = req.query
 
-    console.log(
-      `Found ${likedThoughts.length} liked thoughts for user ${userId}`
+  try {
+    const { thoughts, totalPages } = await userService.getUserThoughts(
+      req.params.username,
+      page,
+      limit,
+      req.user?.userId
     )
 
+    return res.status(200).json({
+      success: true,
+      response: {
+        thoughts: thoughts.map((thought) =>
+          formatThought(thought, viewerOf(req))
+        ),
+        pagination: { current: page, pages: totalPages }
+      },
+      message: 'User thoughts were successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Update the current user's profile (bio, avatarUrl)
+ * @route PATCH /users/me
+ * @access Private
+ */
+export const updateMyProfile = async (req, res, next) => {
+  try {
+    const { bio, avatarUrl, email } = req.body
+
+    const user = await userService.updateProfile(req.user.userId, {
+      ...(bio !== undefined ? { bio } : {}),
+      ...(avatarUrl !== undefined ? { avatarUrl } : {}),
+      ...(email !== undefined ? { email } : {})
+    })
+
     return res.json({
       success: true,
-      response: likedThoughts,
-      message: ''
+      response: {
+        id: user._id,
+        username: user.username,
+        bio: user.bio,
+        avatarUrl: user.avatarUrl,
+        email: user.email || null,
+        joinedAt: user.createdAt
+      },
+      message: 'Profile was successfully updated'
     })
   } catch (err) {
-    console.error('ERROR in getLikedThoughts:', err)
-    return next(err)
+    next(err)
   }
 }
+
+/**
+ * Follow a user
+ * @route POST /users/:id/follow
+ * @access Private
+ */
+export const followUser = async (req, res, next) => {
+  try {
+    const user = await userService.followUser(req.user.userId, req.params.id)
+
+    return res.status(200).json({
+      success: true,
+      response: { id: user._id, username: user.username, following: true },
+      message: `You are now following ${user.username}`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Unfollow a user
+ * @route DELETE /users/:id/follow
+ * @access Private
+ */
+export const unfollowUser = async (req, res, next) => {
+  try {
+    const user = await userService.unfollowUser(req.user.userId, req.params.id)
+
+    return res.status(200).json({
+      success: true,
+      response: { id: user._id, username: user.username, following: false },
+      message: `You are no longer following ${user.username}`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+// Shared handler for GET /users/:id/followers and /users/:id/following
+const getFollowList = (direction) => async (req, res, next) => {
+  const { page, limit } = req.query
+
+  try {
+    const { entries, totalPages } = await userService.getFollowList(
+      req.params.id,
+      direction,
+      page,
+      limit
+    )
+
+    return res.status(200).json({
+      success: true,
+      response: {
+        users: entries.map(({ user, followedAt }) => ({
+          id: user._id,
+          username: user.username,
+          bio: user.bio,
+          avatarUrl: user.avatarUrl,
+          followedAt
+        })),
+        pagination: { current: page, pages: totalPages }
+      },
+      message: `${direction === 'followers' ? 'Followers' : 'Following'} were successfully fetched`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * @route GET /users/:id/followers
+ * @access Public
+ */
+export const getFollowers = getFollowList('followers')
+
+/**
+ * @route GET /users/:id/following
+ * @access Public
+ */
+export const getFollowing = getFollowList('following')
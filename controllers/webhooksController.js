@@ -0,0 +1,138 @@
+/**
+ * Webhooks Controller
+ * Purpose: Handles registering webhooks, their delivery log and replays.
+ * Usage: Used by webhook routes under /webhooks (admin role required).
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import * as webhookService from '../services/webhookService.js'
+
+// The secret is only shown when it's created or rotated
+const formatWebhook = (webhook, { includeSecret = false } = {}) => {
+  const { secret, ...rest } = webhook
+  return includeSecret ? { ...rest, secret } : rest
+}
+
+export const listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await webhookService.listWebhooks()
+
+    return res.status(200).json({
+      success: true,
+      response: webhooks.map((webhook) => formatWebhook(webhook)),
+      message: 'Webhooks were successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id)
+
+    return res.status(200).json({
+      success: true,
+      response: formatWebhook(webhook),
+      message: 'Webhook was successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body
+    const webhook = await webhookService.createWebhook(
+      { url, events, description },
+      { adminId: req.user.userId }
+    )
+
+    return res.status(201).json({
+      success: true,
+      response: formatWebhook(webhook, { includeSecret: true }),
+      message: 'Webhook was created, keep the secret to verify deliveries'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const updateWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, active, rotateSecret } = req.body
+    const webhook = await webhookService.updateWebhook(req.params.id, {
+      url,
+      events,
+      description,
+      active,
+      rotateSecret
+    })
+
+    return res.status(200).json({
+      success: true,
+      response: formatWebhook(webhook, {
+        includeSecret: rotateSecret === true
+      }),
+      message: 'Webhook was updated'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    await webhookService.deleteWebhook(req.params.id)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook was deleted'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const getDeliveries = async (req, res, next) => {
+  const { page, limit } = req.query
+
+  try {
+    const { deliveries, total, totalPages } =
+      await webhookService.getDeliveries(req.params.id, page, limit)
+
+    return res.status(200).json({
+      success: true,
+      response: {
+        deliveries,
+        total,
+        pagination: { current: page, pages: totalPages }
+      },
+      message: 'Deliveries were successfully fetched'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export const replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.replayDelivery(
+      req.params.id,
+      req.params.deliveryId
+    )
+
+    return res.status(201).json({
+      success: true,
+      response: delivery,
+      message:
+        delivery.status === 'succeeded'
+          ? 'Delivery was replayed'
+          : 'Delivery was replayed but failed, it will be retried'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -1,66 +1,94 @@
-import jwt from 'jsonwebtoken'
+import {
+  verifyAccessToken,
+  verifyClientToken
+} from '../services/authService.js'
+import { getStorage } from '../storage/index.js'
+import { AuthenticationError, AuthorizationError } from '../utils/errors.js'
+import { hasRole } from '../utils/roles.js'
 
-import { ApiError } from '../utils/errors.js'
-
-const JWT_SECRET = process.env.JWT_SECRET
+// Anonymous clients identify themselves with a signed X-Client-Token
+const readClientId = (req) => {
+  const token = req.headers['x-client-token']
+  return token ? verifyClientToken(token) : null
+}
 
 /**
- * Authentication middleware - requires valid token
+ * Authentication middleware - requires valid token from an active session
  */
-export const authenticateUser = (req, res, next) => {
+export const authenticateUser = async (req, res, next) => {
   const authHeader = req.headers.authorization
   if (!authHeader?.startsWith('Bearer ')) {
-    return next(new ApiError(401, 'Authentication required'))
+    return next(new AuthenticationError())
   }
 
   const token = authHeader.slice(7) // drop "Bearer "
   try {
-    const { userId, username } = jwt.verify(token, JWT_SECRET)
-    req.user = { userId, username }
-    return next()
+    req.user = await verifyAccessToken(token)
   } catch (err) {
-    return next(new ApiError(401, 'Invalid or expired token'))
+    return next(err)
   }
+  return next()
 }
 
 /**
- * Optional authentication middleware - allows both authenticated and anonymous users
+ * Role check - use after authenticateUser. Reads the role from storage on
+ * every request, so role changes and bans apply straight away.
  */
-export const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers.authorization
-  if (!authHeader?.startsWith('Bearer ')) {
-    req.isAuthenticated = false
-    req.user = null
-    return next()
+export const requireRole = (role) => async (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError())
   }
 
   try {
-    const { userId, username } = jwt.verify(authHeader.slice(7), JWT_SECRET)
-    req.isAuthenticated = true
-    // ✅ FIX: Keep original field names from JWT
-    req.user = { userId, username } // Don't map to { id: userId, username }
-  } catch {
-    req.isAuthenticated = false
-    req.user = null
+    const user = await getStorage().findUserById(req.user.userId)
+    if (!user || user.bannedAt || !hasRole(user, role)) {
+      return next(
+        new AuthorizationError(`This action requires the ${role} role`)
+      )
+    }
+    req.user.role = user.role
+  } catch (err) {
+    return next(err)
   }
   return next()
 }
 
 /**
- * Token authentication middleware - verifies token and attaches user to request
+ * Optional authentication middleware - allows both authenticated and anonymous users
+ * (expired or revoked tokens are treated as anonymous). Anonymous requests
+ * get req.clientId when they send a valid client token.
  */
-export const authenticateToken = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.sendStatus(401)
+  req.isAuthenticated = false
+  req.user = null
+
+  if (authHeader?.startsWith('Bearer ')) {
+    try {
+      // Keeps the JWT field names: { userId, username, sessionId }
+      req.user = await verifyAccessToken(authHeader.slice(7))
+      req.isAuthenticated = true
+    } catch (err) {
+      // Only a bad token means anonymous; a failing session lookup is an error
+      if (!(err instanceof AuthenticationError)) return next(err)
+      req.user = null
+    }
   }
 
-  const token = authHeader.slice(7) // drop "Bearer "
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403)
+  req.clientId = req.user ? null : readClientId(req)
+  return next()
+}
 
-    console.log('JWT decoded user:', user)
-    req.user = user
-    next()
-  })
+/**
+ * Client identification only - sets req.clientId from a valid client token
+ */
+export const identifyClient = (req, res, next) => {
+  req.clientId = readClientId(req)
+  next()
 }
+
+/**
+ * Token authentication middleware - kept as an alias of authenticateUser so
+ * both fail with the same 401 error response
+ */
+export const authenticateToken = authenticateUser
@@ -0,0 +1,75 @@
+/**
+ * Metrics Middleware
+ * Purpose: Records request counts and latency per route, and guards GET /metrics with an optional token.
+ * Usage: app.use(recordRequestMetrics) early; mount routers with trackRouteBase; put requireMetricsToken on /metrics.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+
+import { AuthenticationError } from '../utils/errors.js'
+import {
+  httpRequestDuration,
+  httpRequests,
+  secondsSince
+} from '../utils/metrics.js'
+
+/**
+ * Remembers the router's mount path. Express resets req.baseUrl when an
+ * error leaves the router, and the route label would lose its prefix.
+ */
+export const trackRouteBase = (req, res, next) => {
+  req.routeBase = req.baseUrl
+  next()
+}
+
+// The route pattern (/thoughts/:id), never the raw URL, so every thought
+// doesn't get its own series
+const routeOf = (req) => {
+  if (!req.route) return 'unmatched'
+
+  const base = req.routeBase ?? req.baseUrl
+  return base && req.route.path === '/' ? base : `${base}${req.route.path}`
+}
+
+export const recordRequestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint()
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode
+    }
+    httpRequests.inc(labels)
+    httpRequestDuration.observe(labels, secondsSince(startedAt))
+  })
+  next()
+}
+
+const sameSecret = (given, expected) => {
+  const a = crypto.createHash('sha256').update(given).digest()
+  const b = crypto.createHash('sha256').update(expected).digest()
+  return crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * With METRICS_TOKEN set, /metrics needs "Authorization: Bearer <token>"
+ */
+export const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN
+  if (!expected) return next()
+
+  const authHeader = req.headers.authorization || ''
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : ''
+  if (!sameSecret(token, expected)) {
+    return next(
+      new AuthenticationError(
+        'A valid metrics token is required',
+        'INVALID_METRICS_TOKEN'
+      )
+    )
+  }
+  next()
+}
@@ -0,0 +1,156 @@
+/**
+ * Rate Limiting Middleware
+ * Purpose: Throttles writes, likes, logins and signups per user (or per IP for anonymous clients).
+ * Usage: Add a limiter from RATE_LIMITS to a route, after the auth middleware so it can key by user.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { RateLimitError } from '../utils/errors.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Default store, counts hits in fixed windows in this process' memory.
+ *
+ * A store only needs increment(key, windowMs), resolving to
+ * { count, resetAt } for the window the hit landed in. A shared store
+ * (Redis, MongoDB) can implement the same method and be passed to
+ * createRateLimiter or setRateLimitStore.
+ */
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map()
+
+    // Drop finished windows now and then; unref so it never holds the process open
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs)
+    this.cleanupTimer.unref()
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now()
+    let entry = this.hits.get(key)
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      this.hits.set(key, entry)
+    }
+
+    entry.count += 1
+    return { count: entry.count, resetAt: entry.resetAt }
+  }
+
+  cleanup() {
+    const now = Date.now()
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key)
+    }
+  }
+}
+
+let defaultStore = new MemoryStore()
+
+/**
+ * Swaps the store every limiter without its own store uses
+ */
+export const setRateLimitStore = (store) => {
+  defaultStore = store
+}
+
+// Logged-in users are limited per account, anonymous clients per client
+// token, and only clients without a token per IP
+const clientKey = (req) => {
+  if (req.user?.userId) return `user:${req.user.userId}`
+  if (req.clientId) return `client:${req.clientId}`
+  return `ip:${req.ip}`
+}
+
+/**
+ * Builds a limiter middleware that allows `max` requests per `windowMs`.
+ * Sends RateLimit-* headers on every response and Retry-After with the 429.
+ * Requests for which `skip(req)` is true aren't counted.
+ */
+export const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = clientKey,
+  store = null,
+  skip = null
+}) => {
+  const windowSeconds = Math.ceil(windowMs / 1000)
+
+  return async (req, res, next) => {
+    if (skip?.(req)) return next()
+
+    let hit
+    try {
+      hit = await (store || defaultStore).increment(
+        `${name}:${keyGenerator(req)}`,
+        windowMs
+      )
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      logger.error(`Rate limit store failed for ${name}`, { error })
+      return next()
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((hit.resetAt - Date.now()) / 1000)
+    )
+
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    })
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds))
+      return next(new RateLimitError(resetSeconds))
+    }
+    return next()
+  }
+}
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback
+
+const MINUTE = 60 * 1000
+
+// Separate budgets, so liking a lot never blocks posting or logging in
+export const RATE_LIMITS = {
+  // New thoughts, comments and reports
+  create: createRateLimiter({
+    name: 'create',
+    windowMs: 15 * MINUTE,
+    max: envInt('RATE_LIMIT_CREATE', 30)
+  }),
+  like: createRateLimiter({
+    name: 'like',
+    windowMs: MINUTE,
+    max: envInt('RATE_LIMIT_LIKE', 60)
+  }),
+  // Login and password reset attempts
+  login: createRateLimiter({
+    name: 'login',
+    windowMs: 15 * MINUTE,
+    max: envInt('RATE_LIMIT_LOGIN', 10)
+  }),
+  signup: createRateLimiter({
+    name: 'signup',
+    windowMs: 60 * MINUTE,
+    max: envInt('RATE_LIMIT_SIGNUP', 5)
+  }),
+  // New anonymous client tokens, from POST /users/client-token or a first
+  // anonymous like. Generous, since a shared network (NAT, an office) has
+  // many visitors, but always per IP: a token can't buy more. Requests from
+  // users or clients that already have a token don't mint one.
+  clientToken: createRateLimiter({
+    name: 'clientToken',
+    windowMs: 60 * MINUTE,
+    max: envInt('RATE_LIMIT_CLIENT_TOKEN', 100),
+    keyGenerator: (req) => `ip:${req.ip}`,
+    skip: (req) => Boolean(req.user || req.clientId)
+  })
+}
@@ -0,0 +1,20 @@
+/**
+ * Request ID Middleware
+ * Purpose: Gives every request an ID that is returned in the X-Request-Id header and in error responses.
+ * Usage: app.use(assignRequestId) before any other middleware; read it as req.id.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { randomUUID } from 'crypto'
+
+// A proxy's ID is reused when it looks like one (no spaces or odd characters)
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,100}$/
+
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id')
+  req.id =
+    incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : randomUUID()
+  res.set('X-Request-Id', req.id)
+  next()
+}
@@ -0,0 +1,40 @@
+/**
+ * Request Logger Middleware
+ * Purpose: Writes one access log entry per request (method, path, status, duration) through the logger.
+ * Usage: app.use(logRequests) right after assignRequestId; also sets req.log for request-scoped logging.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { logger, redactUrl } from '../utils/logger.js'
+
+// Server errors are errors, client errors warnings, the rest info
+const levelFor = (status) => {
+  if (status >= 500) return 'error'
+  if (status >= 400) return 'warn'
+  return 'info'
+}
+
+export const logRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint()
+  req.log = logger.child({ requestId: req.id })
+
+  res.on('finish', () => {
+    const durationMs =
+      Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+    const url = redactUrl(req.originalUrl)
+
+    req.log[levelFor(res.statusCode)](
+      `${req.method} ${url} ${res.statusCode} ${durationMs}ms`,
+      {
+        method: req.method,
+        url,
+        status: res.statusCode,
+        durationMs,
+        ...(req.user?.userId ? { userId: req.user.userId } : {}),
+        ip: req.ip
+      }
+    )
+  })
+  next()
+}
@@ -0,0 +1,40 @@
+/**
+ * Request Validation Middleware
+ * Purpose: Checks a request's path params, query string and body against a schema before the controller runs.
+ * Usage: router.post('/', validate(schemas.createThought), controller) with a schema from schemas/.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { ValidationError } from '../utils/errors.js'
+import { checkFields } from '../utils/validation.js'
+
+const LOCATIONS = ['params', 'query', 'body']
+
+/**
+ * Validates { params, query, body }. Checked fields are replaced with their
+ * converted values (trimmed text, numbers, dates, defaults); fields a schema
+ * doesn't mention are left alone. Every failing field ends up in the
+ * ValidationError's details.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const details = {}
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue
+
+    const { values, errors } = checkFields(schema[location], req[location], {
+      emptyIsMissing: location !== 'body'
+    })
+    Object.assign(details, errors)
+    req[location] = { ...req[location], ...values }
+  }
+
+  const failures = Object.entries(details)
+  if (failures.length) {
+    const [[field, problem]] = failures
+    const more = failures.length > 1 ? ` (and ${failures.length - 1} more)` : ''
+    return next(new ValidationError(`${field} ${problem}${more}`, details))
+  }
+  next()
+}
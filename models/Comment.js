@@ -0,0 +1,48 @@
+/**
+ * Comment Model (Mongoose)
+ * Purpose: Defines the schema and model for comments and replies on thoughts.
+ * Usage: Imported by the Mongo storage adapter to interact with the comments collection.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const commentSchema = new mongoose.Schema(
+  {
+    thought: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Thought',
+      required: true
+    },
+    // Top-level comment this is a reply to (replies nest one level deep)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 1,
+      maxlength: 280
+    },
+    tags: [
+      {
+        type: String,
+        lowercase: true
+      }
+    ],
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false
+    }
+  },
+  { timestamps: true }
+)
+
+commentSchema.index({ thought: 1, parent: 1, createdAt: 1 })
+
+export default mongoose.model('Comment', commentSchema)
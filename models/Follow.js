@@ -0,0 +1,32 @@
+/**
+ * Follow Model (Mongoose)
+ * Purpose: Defines the schema and model for follow relationships between users.
+ * Usage: Imported by the Mongo storage adapter for follow lists and the home feed.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+// One follow per pair, plus fast lookups in both directions
+followSchema.index({ follower: 1, following: 1 }, { unique: true })
+followSchema.index({ following: 1, createdAt: -1 })
+
+export default mongoose.model('Follow', followSchema)
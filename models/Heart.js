@@ -0,0 +1,42 @@
+/**
+ * Heart Model (Mongoose)
+ * Purpose: Records when each heart was given, so trending can count recent hearts.
+ * Usage: Written by the Mongo storage adapter whenever a heart is added or taken back.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+import { HEART_LOG_DAYS } from '../utils/trending.js'
+
+const heartSchema = new mongoose.Schema({
+  thought: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thought',
+    required: true
+  },
+  // Either a user or an anonymous client id, like Thought.likes / anonymousLikes
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  client: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+heartSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: HEART_LOG_DAYS * 24 * 60 * 60 }
+)
+heartSchema.index({ thought: 1, user: 1 })
+heartSchema.index({ client: 1 })
+
+export default mongoose.model('Heart', heartSchema)
@@ -0,0 +1,40 @@
+/**
+ * Password Reset Model (Mongoose)
+ * Purpose: Stores single-use, expiring password reset tokens (hashed).
+ * Usage: Imported by the Mongo storage adapter for the password reset flow.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token sent by mail, never the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+// Let MongoDB clean up expired tokens
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('PasswordReset', passwordResetSchema)
@@ -0,0 +1,71 @@
+/**
+ * Report Model (Mongoose)
+ * Purpose: Stores reports users (or anonymous clients) file against thoughts.
+ * Usage: Imported by the Mongo storage adapter; reviewed through the moderation queue.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate',
+  'self-harm',
+  'misinformation',
+  'other'
+]
+
+const reportSchema = new mongoose.Schema(
+  {
+    thought: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Thought',
+      required: true
+    },
+    // Null for anonymous reports
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // "user:<id>" or a hash of the anonymous client, one report each
+    reporterKey: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 280,
+      default: null
+    },
+    // open until a moderator hides (upheld) or restores (dismissed) the thought
+    status: {
+      type: String,
+      enum: ['open', 'upheld', 'dismissed'],
+      default: 'open'
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: true }
+)
+
+reportSchema.index({ thought: 1, reporterKey: 1 }, { unique: true })
+reportSchema.index({ thought: 1, status: 1 })
+
+export default mongoose.model('Report', reportSchema)
@@ -0,0 +1,54 @@
+/**
+ * Session Model (Mongoose)
+ * Purpose: Stores login sessions and their rotating refresh tokens (hashed).
+ * Usage: Imported by the Mongo storage adapter; checked on every authenticated request.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // SHA-256 of the current refresh token, never the token itself
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    // Hash of the token that was rotated out, to detect replays
+    previousTokenHash: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    userAgent: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: true }
+)
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true })
+sessionSchema.index({ previousTokenHash: 1 })
+sessionSchema.index({ user: 1 })
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('Session', sessionSchema)
@@ -0,0 +1,42 @@
+/**
+ * Tag Category Model (Mongoose)
+ * Purpose: Stores the tag taxonomy: each category's keywords (per language) and emojis.
+ * Usage: Imported by the Mongo storage adapter; managed by admins under /tags/categories.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const tagCategorySchema = new mongoose.Schema(
+  {
+    // The tag thoughts get when a keyword or emoji matches
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 30
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null
+    },
+    // Keywords by language code, e.g. { en: ['coffee'], sv: ['kaffe', 'fika'] }
+    keywords: {
+      type: Map,
+      of: [String],
+      default: {}
+    },
+    emojis: {
+      type: [String],
+      default: []
+    }
+  },
+  { timestamps: true }
+)
+
+export default mongoose.model('TagCategory', tagCategorySchema)
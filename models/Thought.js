@@ -3,11 +3,13 @@
  * Purpose: Defines the schema and model for Thought documents in MongoDB.
  * Usage: Imported by controllers/services to interact with thoughts collection.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
 import mongoose from 'mongoose'
 
+import { MOODS } from '../utils/sentiment.js'
+
 // Make sure required fields have proper default values
 const thoughtSchema = new mongoose.Schema({
   message: {
@@ -40,6 +42,27 @@ const thoughtSchema = new mongoose.Schema({
       ref: 'User'
     }
   ],
+  // Anonymous client ids (from signed client tokens) that liked the thought
+  anonymousLikes: [String],
+  // Reactions other than the heart, one per user or anonymous client
+  // (hearts live in likes / anonymousLikes above)
+  reactions: [
+    {
+      _id: false,
+      emoji: { type: String, required: true },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      client: { type: String, default: null }
+    }
+  ],
+  // Hearts from before likes were tracked per client, left as they are.
+  // No default: the storage adapter derives it for older documents.
+  anonymousHearts: {
+    type: Number
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -49,6 +72,52 @@ const thoughtSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Open reports, reset when a moderator reviews the thought
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Hidden thoughts are left out of every public list until restored
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenReason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Lexicon score of the message from -1 (negative) to 1 (positive).
+  // No defaults: older documents are scored at startup.
+  sentiment: {
+    type: Number,
+    min: -1,
+    max: 1
+  },
+  mood: {
+    type: String,
+    enum: MOODS
+  },
+  // Set by the author's edits (not by moderation); the earlier versions
+  // are kept as ThoughtRevision documents
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -57,7 +126,18 @@ const thoughtSchema = new mongoose.Schema({
 
 // Add indexes for better query performance
 thoughtSchema.index({ createdAt: -1 })
-thoughtSchema.index({ hearts: -1 })
+thoughtSchema.index({ hearts: -1, createdAt: -1 })
 thoughtSchema.index({ tags: 1 })
+thoughtSchema.index({ user: 1, createdAt: -1 })
+thoughtSchema.index({ hidden: 1, hiddenAt: 1 })
+thoughtSchema.index({ reportCount: -1 })
+thoughtSchema.index({ anonymousLikes: 1 })
+thoughtSchema.index({ 'reactions.client': 1 })
+thoughtSchema.index({ mood: 1, createdAt: -1 })
+// Full-text search (GET /thoughts/search), message matches weigh more than tags
+thoughtSchema.index(
+  { message: 'text', tags: 'text' },
+  { weights: { message: 3, tags: 1 }, name: 'thought_text_search' }
+)
 
 export default mongoose.model('Thought', thoughtSchema)
@@ -0,0 +1,42 @@
+/**
+ * Thought Revision Model (Mongoose)
+ * Purpose: Keeps the earlier versions of a thought, one document per edit.
+ * Usage: Written by the Mongo storage adapter when an author edits a thought; read for GET /thoughts/:id/revisions.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+const thoughtRevisionSchema = new mongoose.Schema({
+  thought: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Thought',
+    required: true
+  },
+  // 1 for the originally posted text, counting up with each edit
+  version: {
+    type: Number,
+    required: true
+  },
+  // The thought's message and tags before the edit
+  message: {
+    type: String,
+    required: true
+  },
+  tags: [String],
+  // When this version was posted (or saved by the previous edit)
+  writtenAt: {
+    type: Date,
+    required: true
+  },
+  // When the edit replaced it
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+})
+
+thoughtRevisionSchema.index({ thought: 1, version: 1 })
+
+export default mongoose.model('ThoughtRevision', thoughtRevisionSchema)
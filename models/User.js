@@ -3,33 +3,78 @@
  * Purpose: Defines the schema and model for User documents in MongoDB.
  * Usage: Imported by controllers/services to interact with users collection.
  * Author: Linda Schonfeldt
- * Last Updated: June, 2025
+ * Last Updated: October 19, 2026
  */
 
 import bcrypt from 'bcrypt'
-import crypto from 'crypto'
 import mongoose from 'mongoose'
 
-const userSchema = new mongoose.Schema({
-  username: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    minlength: [3, 'Username must be at least 3 characters long'],
-    maxlength: [20, 'Username cannot exceed 20 characters']
-  },
-  password: {
-    type: String,
-    required: true,
-    minlength: [6, 'Password must be at least 6 characters long']
-    // must contain a number and letter
+import { hasLetterAndNumber, PASSWORD_MIN_LENGTH } from '../utils/passwords.js'
+import { DEFAULT_ROLE, ROLES } from '../utils/roles.js'
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      minlength: [3, 'Username must be at least 3 characters long'],
+      maxlength: [20, 'Username cannot exceed 20 characters']
+    },
+    password: {
+      type: String,
+      required: true,
+      minlength: [
+        PASSWORD_MIN_LENGTH,
+        `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+      ],
+      // Runs before the pre('save') hook, so it sees the plain password
+      validate: {
+        validator: hasLetterAndNumber,
+        message: 'Password must contain a number and a letter'
+      }
+    },
+    // Optional, only used for password reset mails
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email address is not valid']
+    },
+    // Public profile fields
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [160, 'Bio cannot exceed 160 characters'],
+      default: ''
+    },
+    avatarUrl: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: DEFAULT_ROLE
+    },
+    // Set by a moderator; banned users can't log in or refresh sessions
+    bannedAt: {
+      type: Date,
+      default: null
+    },
+    banReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Ban reason cannot exceed 200 characters'],
+      default: null
+    }
   },
-  accessToken: {
-    type: String,
-    default: () => crypto.randomBytes(128).toString('hex')
-  }
-})
+  { timestamps: true } // createdAt doubles as the join date
+)
 
 // Add pre-save hook to hash passwords
 userSchema.pre('save', async function (next) {
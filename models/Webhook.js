@@ -0,0 +1,61 @@
+/**
+ * Webhook Model (Mongoose)
+ * Purpose: Stores the URLs admins registered to receive events, and which events each gets.
+ * Usage: Imported by the Mongo storage adapter; deliveries are made by the webhook service.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+export const WEBHOOK_EVENTS = [
+  'thought.created',
+  'thought.updated',
+  'thought.liked',
+  'thought.unliked',
+  'thought.reacted',
+  'thought.deleted',
+  'thought.hidden',
+  'thought.restored',
+  'user.registered'
+]
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: [(events) => events.length > 0, 'Pick at least one event']
+    },
+    // Signs every delivery (HMAC-SHA256) so receivers can verify it
+    secret: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null
+    },
+    // Paused webhooks keep their settings but get no deliveries
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: true }
+)
+
+webhookSchema.index({ active: 1, events: 1 })
+
+export default mongoose.model('Webhook', webhookSchema)
@@ -0,0 +1,93 @@
+/**
+ * Webhook Delivery Model (Mongoose)
+ * Purpose: Logs each event sent to a webhook, with every attempt's response status.
+ * Usage: Imported by the Mongo storage adapter; the webhook service retries pending deliveries.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+// How long the delivery log is kept
+const DELIVERY_LOG_DAYS = 30
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true
+    },
+    // Null when the request never got a response (timeout, refused, ...)
+    responseStatus: {
+      type: Number,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: null
+    }
+  },
+  { _id: false }
+)
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Id of the event on the event bus, the same for every webhook
+    eventId: {
+      type: String,
+      required: true
+    },
+    // The exact body that is sent (and signed)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    // pending until it gets a 2xx, failed once the retries run out
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: []
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    },
+    // Set on deliveries sent again through the replay endpoint
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+      default: null
+    }
+  },
+  { timestamps: true }
+)
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 })
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_DAYS * 24 * 60 * 60 }
+)
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema)
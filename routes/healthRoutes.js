@@ -0,0 +1,20 @@
+/**
+ * Health Routes
+ * Purpose: Defines Express routes for liveness and readiness checks.
+ * Usage: Imported by server.js and mounted before the storage availability check.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import express from 'express'
+
+import * as healthController from '../controllers/healthController.js'
+
+const router = express.Router()
+
+router.get('/live', healthController.getLiveness)
+router.get('/ready', healthController.getReadiness)
+// Kept for existing monitors; same as /ready
+router.get('/', healthController.getReadiness)
+
+export default router
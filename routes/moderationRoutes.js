@@ -0,0 +1,61 @@
+/**
+ * Moderation Routes
+ * Purpose: Defines Express routes for moderators and admins.
+ * Usage: Imported by server.js and mounted under /moderation.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import express from 'express'
+
+import * as moderationController from '../controllers/moderationController.js'
+import { authenticateUser, requireRole } from '../middleware/auth.js'
+import { validate } from '../middleware/validate.js'
+import * as moderationSchemas from '../schemas/moderationSchemas.js'
+
+const router = express.Router()
+
+// Every moderation route needs at least the moderator role
+router.use(authenticateUser, requireRole('moderator'))
+
+// Queue and thoughts
+router.get(
+  '/queue',
+  validate(moderationSchemas.getQueue),
+  moderationController.getQueue
+)
+router.post(
+  '/thoughts/:id/hide',
+  validate(moderationSchemas.hideThought),
+  moderationController.hideThought
+)
+router.post(
+  '/thoughts/:id/restore',
+  validate(moderationSchemas.moderateThought),
+  moderationController.restoreThought
+)
+router.delete(
+  '/thoughts/:id',
+  validate(moderationSchemas.moderateThought),
+  moderationController.removeThought
+)
+
+// Users
+router.post(
+  '/users/:id/ban',
+  validate(moderationSchemas.banUser),
+  moderationController.banUser
+)
+router.delete(
+  '/users/:id/ban',
+  validate(moderationSchemas.unbanUser),
+  moderationController.unbanUser
+)
+router.put(
+  '/users/:id/role',
+  requireRole('admin'),
+  validate(moderationSchemas.setUserRole),
+  moderationController.setUserRole
+)
+
+export default router
@@ -3,16 +3,85 @@
  * Purpose: Defines Express routes for tags-related API endpoints.
  * Usage: Imported by server.js to handle tags requests.
  * Author: Linda Schonfeldt
- * Last Updated: June, 2025
+ * Last Updated: October 19, 2026
  */
 
 import express from 'express'
 
+import * as tagAnalyticsController from '../controllers/tagAnalyticsController.js'
+import * as taxonomyController from '../controllers/taxonomyController.js'
 import * as thoughtsController from '../controllers/thoughtsController.js'
+import { authenticateUser, requireRole } from '../middleware/auth.js'
+import { validate } from '../middleware/validate.js'
+import * as tagSchemas from '../schemas/tagSchemas.js'
 
 const router = express.Router()
 
-router.get('/', thoughtsController.getAllTags)
-router.delete('/:id', thoughtsController.deleteThought)
+// Tag analytics
+router.get('/', validate(tagSchemas.listTags), tagAnalyticsController.listTags)
+router.get(
+  '/related/:tag',
+  validate(tagSchemas.relatedTags),
+  tagAnalyticsController.getRelatedTags
+)
+router.get(
+  '/:tag/stats',
+  validate(tagSchemas.tagStats),
+  tagAnalyticsController.getTagStats
+)
+
+// Tag taxonomy: categories with the keywords and emojis that produce them
+router.get('/categories', taxonomyController.listCategories)
+router.get(
+  '/categories/:name',
+  validate(tagSchemas.getCategory),
+  taxonomyController.getCategory
+)
+router.post(
+  '/categories',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.createCategory),
+  taxonomyController.createCategory
+)
+router.put(
+  '/categories/:name',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.updateCategory),
+  taxonomyController.updateCategory
+)
+router.delete(
+  '/categories/:name',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.deleteCategory),
+  taxonomyController.deleteCategory
+)
+
+// Re-tag existing thoughts and comments with the current taxonomy
+router.post(
+  '/retag',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.retag),
+  thoughtsController.autoTagThoughts
+)
+
+// Tag management (admins only)
+router.put(
+  '/:tag',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.renameTag),
+  thoughtsController.renameTag
+)
+router.delete(
+  '/:tag',
+  authenticateUser,
+  requireRole('admin'),
+  validate(tagSchemas.deleteTag),
+  thoughtsController.deleteTag
+)
 
 export default router
@@ -3,28 +3,159 @@
  * Purpose: Defines Express routes for thoughts-related API endpoints.
  * Usage: Imported by server.js to handle thoughts requests.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
 import express from 'express'
 
+import * as commentsController from '../controllers/commentsController.js'
+import * as moderationController from '../controllers/moderationController.js'
+import * as streamController from '../controllers/streamController.js'
 import * as thoughtController from '../controllers/thoughtsController.js'
 import { authenticateUser, optionalAuth } from '../middleware/auth.js'
+import { RATE_LIMITS } from '../middleware/rateLimit.js'
+import { validate } from '../middleware/validate.js'
+import * as commentSchemas from '../schemas/commentSchemas.js'
+import * as moderationSchemas from '../schemas/moderationSchemas.js'
+import * as thoughtSchemas from '../schemas/thoughtSchemas.js'
 
 const router = express.Router()
 
 // Public routes
-router.get('/', thoughtController.getAllThoughts)
-router.get('/trending', thoughtController.getTrendingThoughts)
-router.get('/tag/:tag', thoughtController.getThoughtsByTag)
-router.get('/:id', thoughtController.getThoughtById)
+// (optionalAuth only to fill in the viewer's own reaction)
+router.get(
+  '/',
+  optionalAuth,
+  validate(thoughtSchemas.listThoughts),
+  thoughtController.getAllThoughts
+)
+router.get('/reactions', thoughtController.getReactions)
+router.get(
+  '/trending',
+  optionalAuth,
+  validate(thoughtSchemas.trendingThoughts),
+  thoughtController.getTrendingThoughts
+)
+router.get(
+  '/mood',
+  validate(thoughtSchemas.moodOverTime),
+  thoughtController.getMoodOverTime
+)
+router.get(
+  '/tag/:tag',
+  optionalAuth,
+  validate(thoughtSchemas.thoughtsByTag),
+  thoughtController.getThoughtsByTag
+)
+router.get(
+  '/search',
+  optionalAuth,
+  validate(thoughtSchemas.searchThoughts),
+  thoughtController.searchThoughts
+)
+router.get(
+  '/feed',
+  authenticateUser,
+  validate(thoughtSchemas.getFeed),
+  thoughtController.getFeed
+)
+// Live created/updated/deleted/liked events (Server-Sent Events)
+router.get(
+  '/stream',
+  validate(thoughtSchemas.streamThoughts),
+  streamController.streamThoughts
+)
+// Hidden thoughts are visible to their author and moderators only
+router.get(
+  '/:id',
+  optionalAuth,
+  validate(thoughtSchemas.getThought),
+  thoughtController.getThoughtById
+)
+router.get(
+  '/:id/comments',
+  validate(commentSchemas.listComments),
+  commentsController.getComments
+)
 
 // Mixed routes (optional authentication)
-router.post('/', optionalAuth, thoughtController.createThought)
-router.post('/:id/like', optionalAuth, thoughtController.likeThought)
+// (rate limited per user, or per IP for anonymous clients)
+router.post(
+  '/',
+  optionalAuth,
+  RATE_LIMITS.create,
+  validate(thoughtSchemas.createThought),
+  thoughtController.createThought
+)
+router.post(
+  '/:id/like',
+  optionalAuth,
+  RATE_LIMITS.like,
+  RATE_LIMITS.clientToken,
+  validate(thoughtSchemas.likeThought),
+  thoughtController.likeThought
+)
+router.post(
+  '/:id/reactions',
+  optionalAuth,
+  RATE_LIMITS.like,
+  RATE_LIMITS.clientToken,
+  validate(thoughtSchemas.reactToThought),
+  thoughtController.reactToThought
+)
+router.delete(
+  '/:id/reactions',
+  optionalAuth,
+  RATE_LIMITS.like,
+  validate(thoughtSchemas.removeReaction),
+  thoughtController.removeReaction
+)
+router.post(
+  '/:id/comments',
+  optionalAuth,
+  RATE_LIMITS.create,
+  validate(commentSchemas.createComment),
+  commentsController.createComment
+)
+router.post(
+  '/:id/report',
+  optionalAuth,
+  RATE_LIMITS.create,
+  validate(moderationSchemas.reportThought),
+  moderationController.reportThought
+)
 
 // Protected routes
-router.put('/:id', authenticateUser, thoughtController.updateThought)
-router.delete('/:id', authenticateUser, thoughtController.deleteThought)
+router.put(
+  '/:id',
+  authenticateUser,
+  validate(thoughtSchemas.updateThought),
+  thoughtController.updateThought
+)
+router.delete(
+  '/:id',
+  authenticateUser,
+  validate(thoughtSchemas.deleteThought),
+  thoughtController.deleteThought
+)
+// Earlier versions, for the author and moderators
+router.get(
+  '/:id/revisions',
+  authenticateUser,
+  validate(thoughtSchemas.listRevisions),
+  thoughtController.getThoughtRevisions
+)
+router.put(
+  '/:id/comments/:commentId',
+  authenticateUser,
+  validate(commentSchemas.updateComment),
+  commentsController.updateComment
+)
+router.delete(
+  '/:id/comments/:commentId',
+  authenticateUser,
+  validate(commentSchemas.deleteComment),
+  commentsController.deleteComment
+)
 
 export default router
@@ -3,33 +3,153 @@
  * Purpose: Defines Express routes for user-related API endpoints.
  * Usage: Imported by server.js to handle user requests.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
 import express from 'express'
 
 import { getLikedThoughts } from '../controllers/thoughtsController.js'
-import { createThought, deleteThought, updateThought } from '../controllers/thoughtsController.js'
-import { loginUser, registerUser } from '../controllers/userController.js'
-import { authenticateUser } from '../middleware/auth.js'
+import {
+  createThought,
+  deleteThought,
+  updateThought
+} from '../controllers/thoughtsController.js'
+import {
+  changePassword,
+  createClientToken,
+  followUser,
+  getFollowers,
+  getFollowing,
+  getUserProfile,
+  getUserThoughts,
+  loginUser,
+  logoutAllSessions,
+  logoutUser,
+  refreshAccessToken,
+  registerUser,
+  requestPasswordReset,
+  resetPassword,
+  unfollowUser,
+  updateMyProfile
+} from '../controllers/userController.js'
+import {
+  authenticateUser,
+  identifyClient,
+  optionalAuth
+} from '../middleware/auth.js'
+import { RATE_LIMITS } from '../middleware/rateLimit.js'
+import { validate } from '../middleware/validate.js'
+import * as thoughtSchemas from '../schemas/thoughtSchemas.js'
+import * as userSchemas from '../schemas/userSchemas.js'
 
 const router = express.Router()
 
 // Auth routes (no authentication required)
-router.post('/login', loginUser)
-router.post('/signup', registerUser)
+router.post(
+  '/login',
+  RATE_LIMITS.login,
+  validate(userSchemas.loginUser),
+  loginUser
+)
+router.post(
+  '/signup',
+  RATE_LIMITS.signup,
+  identifyClient,
+  validate(userSchemas.registerUser),
+  registerUser
+)
+router.post('/client-token', RATE_LIMITS.clientToken, createClientToken)
+router.post(
+  '/refresh',
+  validate(userSchemas.refreshAccessToken),
+  refreshAccessToken
+)
+router.post(
+  '/logout',
+  optionalAuth,
+  validate(userSchemas.logoutUser),
+  logoutUser
+)
+router.post('/logout-all', authenticateUser, logoutAllSessions)
+
+// Passwords
+router.post(
+  '/me/password',
+  authenticateUser,
+  validate(userSchemas.changePassword),
+  changePassword
+)
+router.post(
+  '/password-reset',
+  RATE_LIMITS.login,
+  validate(userSchemas.requestPasswordReset),
+  requestPasswordReset
+)
+router.post(
+  '/password-reset/:token',
+  RATE_LIMITS.login,
+  validate(userSchemas.resetPassword),
+  resetPassword
+)
 
 // User's liked thoughts (authentication required)
 router.get('/liked-thoughts', authenticateUser, getLikedThoughts)
 
 // Thoughts routes under /users/thoughts (authentication required)
-router.post('/thoughts', authenticateUser, createThought)
-router.put('/:id', authenticateUser, updateThought)
-router.delete('/:id', authenticateUser, deleteThought)
+router.post(
+  '/thoughts',
+  authenticateUser,
+  RATE_LIMITS.create,
+  validate(thoughtSchemas.createThought),
+  createThought
+)
+router.put(
+  '/:id',
+  authenticateUser,
+  validate(thoughtSchemas.updateThought),
+  updateThought
+)
+router.delete(
+  '/:id',
+  authenticateUser,
+  validate(thoughtSchemas.deleteThought),
+  deleteThought
+)
 
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Test endpoint works' })
 })
 
+// Profiles (keep these last so /:username doesn't shadow the routes above)
+router.patch(
+  '/me',
+  authenticateUser,
+  validate(userSchemas.updateProfile),
+  updateMyProfile
+)
+router.get('/:username', validate(userSchemas.getProfile), getUserProfile)
+router.get(
+  '/:username/thoughts',
+  optionalAuth,
+  validate(userSchemas.listUserThoughts),
+  getUserThoughts
+)
+
+// Follows
+router.post(
+  '/:id/follow',
+  authenticateUser,
+  validate(userSchemas.followUser),
+  followUser
+)
+router.delete(
+  '/:id/follow',
+  authenticateUser,
+  validate(userSchemas.followUser),
+  unfollowUser
+)
+router.get('/:id/followers', validate(userSchemas.listFollows), getFollowers)
+router.get('/:id/following', validate(userSchemas.listFollows), getFollowing)
+
 export default router
@@ -0,0 +1,55 @@
+/**
+ * Webhooks Routes
+ * Purpose: Defines Express routes for managing outgoing webhooks.
+ * Usage: Imported by server.js and mounted under /webhooks.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import express from 'express'
+
+import * as webhooksController from '../controllers/webhooksController.js'
+import { authenticateUser, requireRole } from '../middleware/auth.js'
+import { validate } from '../middleware/validate.js'
+import * as webhookSchemas from '../schemas/webhookSchemas.js'
+
+const router = express.Router()
+
+// Webhooks are managed by admins only
+router.use(authenticateUser, requireRole('admin'))
+
+router.get('/', webhooksController.listWebhooks)
+router.post(
+  '/',
+  validate(webhookSchemas.createWebhook),
+  webhooksController.createWebhook
+)
+router.get(
+  '/:id',
+  validate(webhookSchemas.getWebhook),
+  webhooksController.getWebhook
+)
+router.patch(
+  '/:id',
+  validate(webhookSchemas.updateWebhook),
+  webhooksController.updateWebhook
+)
+router.delete(
+  '/:id',
+  validate(webhookSchemas.deleteWebhook),
+  webhooksController.deleteWebhook
+)
+
+// Delivery log
+router.get(
+  '/:id/deliveries',
+  validate(webhookSchemas.getDeliveries),
+  webhooksController.getDeliveries
+)
+router.post(
+  '/:id/deliveries/:deliveryId/replay',
+  validate(webhookSchemas.replayDelivery),
+  webhooksController.replayDelivery
+)
+
+export default router
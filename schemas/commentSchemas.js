@@ -0,0 +1,33 @@
+/**
+ * Comment Request Schemas
+ * Purpose: Validation rules for comments and replies on thoughts.
+ * Usage: validate(commentSchemas.createComment) in routes/thoughtsRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { optional, string } from '../utils/validation.js'
+import { id, idParams, MESSAGE_MAX_LENGTH, pagination } from './common.js'
+
+const message = string({ max: MESSAGE_MAX_LENGTH })
+const commentParams = { id, commentId: id }
+
+export const listComments = {
+  params: idParams,
+  query: pagination()
+}
+
+export const createComment = {
+  params: idParams,
+  body: {
+    message,
+    parentId: optional(id, { nullable: true })
+  }
+}
+
+export const updateComment = {
+  params: commentParams,
+  body: { message }
+}
+
+export const deleteComment = { params: commentParams }
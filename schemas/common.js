@@ -0,0 +1,45 @@
+/**
+ * Common Request Schemas
+ * Purpose: Field rules shared by several routes (ids, pagination, date ranges, tags).
+ * Usage: Imported by the other schema modules in schemas/.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import {
+  date,
+  integer,
+  objectId,
+  optional,
+  string
+} from '../utils/validation.js'
+
+export const MESSAGE_MIN_LENGTH = 5
+export const MESSAGE_MAX_LENGTH = 280
+export const TAG_MAX_LENGTH = 30
+export const REASON_MAX_LENGTH = 200
+
+export const id = objectId()
+
+export const idParams = { id }
+
+// page defaults to 1; larger limits are capped rather than rejected
+export const pagination = ({ defaultLimit = 10, maxLimit = 50 } = {}) => ({
+  page: optional(integer({ min: 1 }), { default: 1 }),
+  limit: optional(integer({ min: 1, cap: maxLimit }), {
+    default: defaultLimit
+  })
+})
+
+export const dateRange = {
+  since: optional(date()),
+  until: optional(date())
+}
+
+export const tag = string({ max: TAG_MAX_LENGTH, lowercase: true })
+
+export const username = string({ max: 20 })
+
+export const reason = optional(string({ min: 0, max: REASON_MAX_LENGTH }), {
+  nullable: true
+})
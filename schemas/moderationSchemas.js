@@ -0,0 +1,50 @@
+/**
+ * Moderation Request Schemas
+ * Purpose: Validation rules for reports, the moderation queue, bans and roles.
+ * Usage: validate(moderationSchemas.banUser) in routes/moderationRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { REPORT_REASONS } from '../models/Report.js'
+import { ROLES } from '../utils/roles.js'
+import { oneOf, optional, string } from '../utils/validation.js'
+import { idParams, MESSAGE_MAX_LENGTH, pagination, reason } from './common.js'
+
+export const reportThought = {
+  params: idParams,
+  body: {
+    reason: oneOf(REPORT_REASONS),
+    details: optional(string({ min: 0, max: MESSAGE_MAX_LENGTH }), {
+      nullable: true
+    })
+  }
+}
+
+export const getQueue = {
+  query: {
+    ...pagination({ defaultLimit: 20, maxLimit: 100 }),
+    status: optional(oneOf(['reported', 'hidden']), { default: 'reported' })
+  }
+}
+
+export const hideThought = {
+  params: idParams,
+  body: { reason }
+}
+
+export const moderateThought = { params: idParams }
+
+export const banUser = {
+  params: idParams,
+  body: { reason }
+}
+
+export const unbanUser = { params: idParams }
+
+export const setUserRole = {
+  params: idParams,
+  body: {
+    role: oneOf(ROLES)
+  }
+}
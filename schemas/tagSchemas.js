@@ -0,0 +1,89 @@
+/**
+ * Tag Request Schemas
+ * Purpose: Validation rules for tag analytics, tag management and the tag taxonomy.
+ * Usage: validate(tagSchemas.tagStats) in routes/tagsRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { TAG_SORTS } from '../services/tagAnalyticsService.js'
+import { PERIOD_INTERVALS } from '../utils/periods.js'
+import {
+  array,
+  boolean,
+  forbidden,
+  object,
+  oneOf,
+  optional,
+  string
+} from '../utils/validation.js'
+import { dateRange, pagination, tag, TAG_MAX_LENGTH } from './common.js'
+
+const tagParams = { tag }
+
+// Keyword languages and the category name format are checked by the taxonomy service
+const category = {
+  name: string({ max: TAG_MAX_LENGTH, lowercase: true }),
+  description: optional(string({ min: 0, max: 200 }), { nullable: true }),
+  keywords: optional(object()),
+  emojis: optional(array(string({ max: 16 }), { max: 50 }))
+}
+
+const categoryParams = { name: category.name }
+
+export const listTags = {
+  query: {
+    sort: optional(oneOf(TAG_SORTS), { default: 'popular' })
+  }
+}
+
+export const tagStats = {
+  params: tagParams,
+  query: {
+    ...dateRange,
+    interval: optional(oneOf(PERIOD_INTERVALS), { default: 'day' })
+  }
+}
+
+export const relatedTags = {
+  params: tagParams,
+  query: {
+    limit: pagination().limit
+  }
+}
+
+export const renameTag = {
+  params: tagParams,
+  body: {
+    name: tag
+  }
+}
+
+export const deleteTag = { params: tagParams }
+
+export const retag = {
+  query: {
+    dryRun: optional(boolean(), { default: false })
+  },
+  body: {
+    dryRun: optional(
+      forbidden('belongs in the query string, e.g. ?dryRun=true')
+    )
+  }
+}
+
+export const getCategory = { params: categoryParams }
+
+export const createCategory = { body: category }
+
+export const updateCategory = {
+  params: categoryParams,
+  body: Object.fromEntries(
+    Object.entries(category).map(([field, rule]) => [
+      field,
+      rule.optional ? rule : optional(rule)
+    ])
+  )
+}
+
+export const deleteCategory = { params: categoryParams }
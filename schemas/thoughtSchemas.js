@@ -0,0 +1,128 @@
+/**
+ * Thought Request Schemas
+ * Purpose: Validation rules for the thought, reaction and trending/mood routes.
+ * Usage: validate(thoughtSchemas.createThought) in routes/thoughtsRoutes.js and routes/userRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { SORT_OPTIONS } from '../utils/cursor.js'
+import { PERIOD_INTERVALS } from '../utils/periods.js'
+import { MOODS } from '../utils/sentiment.js'
+import { TRENDING_WINDOWS } from '../utils/trending.js'
+import {
+  array,
+  boolean,
+  integer,
+  oneOf,
+  optional,
+  string
+} from '../utils/validation.js'
+import {
+  dateRange,
+  idParams,
+  MESSAGE_MAX_LENGTH,
+  MESSAGE_MIN_LENGTH,
+  pagination,
+  tag,
+  username
+} from './common.js'
+
+const message = string({ min: MESSAGE_MIN_LENGTH, max: MESSAGE_MAX_LENGTH })
+
+// Filters shared by the thought list, search and mood
+const filters = {
+  tag: optional(tag),
+  author: optional(username),
+  ...dateRange
+}
+
+export const listThoughts = {
+  query: {
+    ...filters,
+    cursor: optional(string()),
+    page: optional(integer({ min: 1 })),
+    limit: pagination().limit,
+    sort: optional(oneOf(SORT_OPTIONS), { default: 'newest' }),
+    hasLikes: optional(boolean()),
+    mood: optional(oneOf(MOODS))
+  }
+}
+
+export const getFeed = {
+  query: {
+    cursor: optional(string()),
+    limit: pagination().limit
+  }
+}
+
+export const searchThoughts = {
+  query: {
+    ...filters,
+    ...pagination(),
+    q: string({ max: 100 }),
+    minHearts: optional(integer({ min: 0 }))
+  }
+}
+
+export const trendingThoughts = {
+  query: {
+    ...pagination(),
+    window: optional(oneOf(Object.keys(TRENDING_WINDOWS)), { default: 'all' }),
+    tag: optional(tag)
+  }
+}
+
+export const moodOverTime = {
+  query: {
+    ...filters,
+    interval: optional(oneOf(PERIOD_INTERVALS), { default: 'day' })
+  }
+}
+
+export const thoughtsByTag = {
+  params: { tag }
+}
+
+export const streamThoughts = {
+  query: {
+    tag: optional(tag),
+    lastEventId: optional(string({ max: 100 }))
+  }
+}
+
+export const getThought = { params: idParams }
+
+export const createThought = {
+  body: { message }
+}
+
+export const updateThought = {
+  params: idParams,
+  body: {
+    message,
+    tags: optional(array(tag, { max: 10 })),
+    preserveTags: optional(boolean())
+  }
+}
+
+export const deleteThought = { params: idParams }
+
+export const listRevisions = { params: idParams }
+
+export const likeThought = {
+  params: idParams,
+  body: {
+    action: optional(oneOf(['like', 'unlike']))
+  }
+}
+
+// Which emojis are allowed is checked by the service
+export const reactToThought = {
+  params: idParams,
+  body: {
+    reaction: string({ max: 16 })
+  }
+}
+
+export const removeReaction = { params: idParams }
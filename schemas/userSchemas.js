@@ -0,0 +1,104 @@
+/**
+ * User Request Schemas
+ * Purpose: Validation rules for signup, login, sessions, passwords, profiles and follows.
+ * Usage: validate(userSchemas.registerUser) in routes/userRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import {
+  hasLetterAndNumber,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_MIN_LENGTH
+} from '../utils/passwords.js'
+import { optional, string } from '../utils/validation.js'
+import { idParams, pagination, username } from './common.js'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// New passwords follow the policy in utils/passwords.js
+const newPassword = string({
+  min: PASSWORD_MIN_LENGTH,
+  max: PASSWORD_MAX_LENGTH,
+  trim: false,
+  pattern: { test: hasLetterAndNumber },
+  patternMessage: 'must contain a number and a letter'
+})
+
+// Existing passwords are only compared, never checked against the policy
+const password = string({ max: PASSWORD_MAX_LENGTH, trim: false })
+
+const email = string({
+  max: 254,
+  lowercase: true,
+  pattern: EMAIL_PATTERN,
+  patternMessage: 'is not a valid email address'
+})
+
+export const registerUser = {
+  body: {
+    username: string({ min: 3, max: 20 }),
+    password: newPassword,
+    email: optional(email)
+  }
+}
+
+export const loginUser = {
+  body: { username, password }
+}
+
+export const refreshAccessToken = {
+  body: { refreshToken: string() }
+}
+
+export const logoutUser = {
+  body: { refreshToken: optional(string()) }
+}
+
+export const changePassword = {
+  body: { currentPassword: password, newPassword }
+}
+
+// Either one identifies the account (checked by the controller)
+export const requestPasswordReset = {
+  body: {
+    username: optional(username),
+    email: optional(string({ max: 254, lowercase: true }))
+  }
+}
+
+export const resetPassword = {
+  params: { token: string({ max: 200 }) },
+  body: { newPassword }
+}
+
+export const updateProfile = {
+  body: {
+    bio: optional(string({ min: 0, max: 160 })),
+    avatarUrl: optional(
+      string({
+        max: 500,
+        pattern: /^https?:\/\/\S+$/,
+        patternMessage: 'must be an http(s) URL'
+      }),
+      { nullable: true }
+    ),
+    email: optional(email)
+  }
+}
+
+export const getProfile = {
+  params: { username }
+}
+
+export const listUserThoughts = {
+  params: { username },
+  query: pagination()
+}
+
+export const followUser = { params: idParams }
+
+export const listFollows = {
+  params: idParams,
+  query: pagination({ defaultLimit: 20, maxLimit: 100 })
+}
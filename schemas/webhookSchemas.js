@@ -0,0 +1,50 @@
+/**
+ * Webhook Request Schemas
+ * Purpose: Validation rules for managing webhooks and their delivery log.
+ * Usage: validate(webhookSchemas.createWebhook) in routes/webhooksRoutes.js.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { WEBHOOK_EVENTS } from '../models/Webhook.js'
+import {
+  array,
+  boolean,
+  httpUrl,
+  oneOf,
+  optional,
+  string
+} from '../utils/validation.js'
+import { id, idParams, pagination } from './common.js'
+
+const url = httpUrl()
+const events = array(oneOf(WEBHOOK_EVENTS), { min: 1 })
+const description = optional(string({ min: 0, max: 100 }), { nullable: true })
+
+export const createWebhook = {
+  body: { url, events, description }
+}
+
+export const getWebhook = { params: idParams }
+
+export const updateWebhook = {
+  params: idParams,
+  body: {
+    url: optional(url),
+    events: optional(events),
+    description,
+    active: optional(boolean()),
+    rotateSecret: optional(boolean())
+  }
+}
+
+export const deleteWebhook = { params: idParams }
+
+export const getDeliveries = {
+  params: idParams,
+  query: pagination({ defaultLimit: 20, maxLimit: 100 })
+}
+
+export const replayDelivery = {
+  params: { id, deliveryId: id }
+}
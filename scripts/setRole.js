@@ -0,0 +1,29 @@
+/**
+ * Set Role Script
+ * Purpose: Gives a user a role from the command line, e.g. to create the first admin.
+ * Usage: npm run set-role -- <username> <user|moderator|admin>
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { initStorage } from '../storage/index.js'
+import { isValidRole, ROLES } from '../utils/roles.js'
+
+const [username, role] = process.argv.slice(2)
+
+if (!username || !isValidRole(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`)
+  process.exit(1)
+}
+
+const storage = await initStorage()
+const user = await storage.findUserByUsername(username)
+
+if (!user) {
+  console.error(`User "${username}" was not found (${storage.mode} storage)`)
+  process.exit(1)
+}
+
+await storage.updateUser(user._id, { role })
+console.log(`${username} now has the ${role} role (${storage.mode} storage)`)
+process.exit(0)
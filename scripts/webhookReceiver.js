@@ -0,0 +1,60 @@
+/**
+ * Webhook Test Receiver
+ * Purpose: A local endpoint that prints incoming webhook deliveries and checks their signatures.
+ * Usage: WEBHOOK_SECRET=whsec_... npm run webhook-receiver, then register http://localhost:9000/ as a webhook.
+ *        RECEIVER_STATUS=500 makes it answer with that status, to try out retries.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import http from 'http'
+
+import { verifyWebhookSignature } from '../utils/webhookSignature.js'
+
+const port = parseInt(process.env.RECEIVER_PORT, 10) || 9000
+const secret = process.env.WEBHOOK_SECRET
+const forcedStatus = parseInt(process.env.RECEIVER_STATUS, 10) || null
+
+const server = http.createServer((req, res) => {
+  let body = ''
+  req.setEncoding('utf8')
+  req.on('data', (chunk) => {
+    body += chunk
+  })
+
+  req.on('end', () => {
+    const signature = req.headers['x-webhook-signature']
+    const verified = secret
+      ? verifyWebhookSignature(secret, signature, body)
+      : null
+
+    let payload = body
+    try {
+      payload = JSON.parse(body)
+    } catch {
+      // Print whatever arrived
+    }
+
+    const status = forcedStatus || (verified === false ? 401 : 200)
+    const check =
+      verified === null
+        ? 'signature not checked (no WEBHOOK_SECRET)'
+        : verified
+          ? 'signature ok'
+          : 'SIGNATURE INVALID'
+
+    console.log(
+      `${new Date().toISOString()} ${req.method} ${req.url} ` +
+        `${req.headers['x-webhook-event'] || '-'} ` +
+        `(delivery ${req.headers['x-webhook-id'] || '-'}), ${check}, answered ${status}`
+    )
+    console.log(JSON.stringify(payload, null, 2))
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ received: status < 300 }))
+  })
+})
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`)
+})
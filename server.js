@@ -1,33 +1,67 @@
-import Thought from './models/Thought.js'
-import { ThoughtsModel } from './models/thoughtsModel.js'
+import { closeAllStreams } from './controllers/streamController.js'
+import {
+  recordRequestMetrics,
+  requireMetricsToken,
+  trackRouteBase
+} from './middleware/metrics.js'
+import { assignRequestId } from './middleware/requestId.js'
+import { logRequests } from './middleware/requestLogger.js'
+import healthRoutes from './routes/healthRoutes.js'
+import moderationRoutes from './routes/moderationRoutes.js'
 import tagsRoutes from './routes/tagsRoutes.js'
 import thoughtsRoutes from './routes/thoughtsRoutes.js'
 import userRoutes from './routes/userRoutes.js'
 // Note singular "user" not "users"
-import { ApiError } from './utils/errors.js'
+import webhooksRoutes from './routes/webhooksRoutes.js'
+import { warnIfMailUndeliverable } from './services/mailService.js'
+import { loadTaxonomy } from './services/taxonomyService.js'
+import { scoreUnscoredThoughts } from './services/thoughtsService.js'
+import {
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+} from './services/webhookService.js'
+import { getStorage, initStorage } from './storage/index.js'
+import {
+  ApiError,
+  NotFoundError,
+  ServiceUnavailableError,
+  toApiError
+} from './utils/errors.js'
+import { logger } from './utils/logger.js'
+import { authFailures, renderMetrics } from './utils/metrics.js'
+import { onShutdown, shutdown } from './utils/shutdown.js'
 /**
  * Express Server Entry Point
  * Purpose: Initializes and configures the API server for Happy Thoughts.
  * Usage: Run with Node.js to start backend server.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
 import cors from 'cors'
 import dotenv from 'dotenv'
 import express from 'express'
 import listEndpoints from 'express-list-endpoints'
-import mongoose from 'mongoose'
-import morgan from 'morgan'
-
-const mongoURL =
-  process.env.MONGO_URL || 'mongodb://localhost:27017/happy-thoughts'
 
 // Defines the port the app will run on
 const port = process.env.PORT || 8080
 const app = express()
 
+// Behind a proxy (e.g. Render), req.ip should be the client, not the proxy.
+// Production trusts one hop unless TRUST_PROXY says otherwise (0 turns it off).
+const trustProxy = process.env.TRUST_PROXY
+  ? parseInt(process.env.TRUST_PROXY, 10) || 0
+  : process.env.NODE_ENV === 'production'
+    ? 1
+    : 0
+if (trustProxy > 0) {
+  app.set('trust proxy', trustProxy)
+}
+
 // Middleware
+app.use(assignRequestId) // X-Request-Id, also sent with every error
+app.use(logRequests) // Access log, and req.log for the request's own entries
+app.use(recordRequestMetrics) // Request counts and latency for /metrics
 app.use(express.json()) // Parse JSON request bodies
 
 // CORS configuration
@@ -37,7 +71,24 @@ const corsOptions = {
     'https://creative-hotteok-2e5655.netlify.app'
   ],
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'Accept',
+    'X-Client-Token',
+    'X-Request-Id',
+    'Last-Event-ID'
+  ],
+  // Let the frontend read the rate limit headers
+  exposedHeaders: [
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After',
+    'X-Client-Token',
+    'X-Request-Id'
+  ],
   credentials: true
 }
 
@@ -45,34 +96,31 @@ app.use(cors(corsOptions))
 // Ensure preflight responses are handled
 app.options('*', cors(corsOptions))
 
-// Enable request logging in development
-if (process.env.NODE_ENV !== 'production') {
-  app.use(morgan('dev'))
-}
+// Prometheus metrics (METRICS_TOKEN protects them), served even while
+// storage is unavailable
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+  res.send(renderMetrics())
+})
 
-// Create middleware for database state handling
+// Liveness and readiness probes; like /metrics they answer while storage
+// is unavailable
+app.use('/health', trackRouteBase, healthRoutes)
+
+// Reject requests while the chosen storage backend is unavailable
 app.use((req, res, next) => {
-  // If MongoDB is connected, use it
-  if (mongoose.connection.readyState === 1) {
-    req.useDatabase = true
-    next()
-  }
-  // If we're in production and MongoDB is down, return 503
-  else if (process.env.NODE_ENV === 'production') {
-    res.status(503).json({ Error: 'Service Unavailable' })
-  }
-  // In development, fall back to file storage
-  else {
-    console.log('MongoDB not connected, using file storage')
-    req.useDatabase = false
-    next()
+  if (getStorage().isReady()) {
+    return next()
   }
+  next(new ServiceUnavailableError(`${getStorage().mode} storage is not ready`))
 })
 
 // Routes
-app.use('/thoughts', thoughtsRoutes)
-app.use('/tags', tagsRoutes)
-app.use('/users', userRoutes)
+app.use('/thoughts', trackRouteBase, thoughtsRoutes)
+app.use('/tags', trackRouteBase, tagsRoutes)
+app.use('/users', trackRouteBase, userRoutes)
+app.use('/moderation', trackRouteBase, moderationRoutes)
+app.use('/webhooks', trackRouteBase, webhooksRoutes)
 
 // API documentation endpoint
 app.get('/', (req, res) => {
@@ -84,128 +132,104 @@ app.get('/', (req, res) => {
   })
 })
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    // Check database connection
-    await mongoose.connection.db.admin().ping()
-
-    return res.status(200).json({
-      status: 'healthy',
-      database: 'connected',
-      uptime: process.uptime(),
-      timestamp: new Date(),
-      version: process.env.npm_package_version || '1.0.0'
-    })
-  } catch (error) {
-    return res.status(500).json({
-      status: 'unhealthy',
-      database: 'disconnected',
-      error: error.message,
-      timestamp: new Date()
-    })
-  }
-})
-
-// Debugging middleware
+// 404 for anything no route handled
 app.use((req, res, next) => {
-  console.log(`🔍 Unmatched request: ${req.method} ${req.url}`)
-  next()
+  next(new NotFoundError('Endpoint'))
 })
 
-// Error handling middleware (after routes, before server start)
+// Error handling middleware (after routes, before server start).
+// Every failure has the same shape, with a stable `code` and the request ID;
+// clients that ask for application/problem+json get an RFC 7807 document.
 app.use((err, req, res, next) => {
-  console.error(err)
-
-  if (err instanceof ApiError) {
-    // Our custom API errors have status codes and formatted responses
-    return res.status(err.statusCode).json({
-      success: false,
-      response: err.message,
-      message: err.publicMessage
-    })
+  // Too late for an error response (e.g. an open event stream)
+  if (res.headersSent) return next(err)
+
+  const error = toApiError(err)
+  if (error.statusCode === 401) authFailures.inc({ code: error.code })
+  // Expected failures already show up in the access log
+  if (error.statusCode >= 500) {
+    req.log.error(error.publicMessage, { code: error.code, error: err })
   } else {
-    // Unknown errors
-    return res.status(500).json({
-      success: false,
-      response: process.env.NODE_ENV === 'production' ? null : err.message,
-      message: 'An unexpected error occurred'
-    })
+    req.log.debug(error.message, { code: error.code })
+  }
+  const wantsProblem =
+    req.accepts(['json', 'application/problem+json']) ===
+    'application/problem+json'
+
+  if (wantsProblem) {
+    return res
+      .status(error.statusCode)
+      .type('application/problem+json')
+      .json({
+        ...error.toProblem({ instance: req.originalUrl }),
+        requestId: req.id
+      })
   }
-})
 
-// 404 middleware
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'The requested endpoint does not exist'
+  return res.status(error.statusCode).json({
+    ...error.toJSON({
+      // Unexpected errors may contain internals
+      exposeMessage:
+        err instanceof ApiError || process.env.NODE_ENV !== 'production'
+    }),
+    requestId: req.id
   })
 })
 
-// Connect to MongoDB and start server
-mongoose
-  .connect(mongoURL)
-  .then(async () => {
-    console.log('Connected to MongoDB')
-
-    // Check if database is empty
-    const count = await Thought.countDocuments()
-
-    // Auto-migrate if database is empty
-    if (count === 0) {
-      console.log('Empty database detected, migrating data from JSON...')
-
-      try {
-        // Load data from file
-        const thoughtsModel = new ThoughtsModel(false)
-        const thoughts = thoughtsModel.loadData()
-
-        // Transform and enhance with tags
-        const transformedThoughts = thoughts.map((thought) => {
-          const { _id, ...thoughtData } = thought
-
-          // Auto-generate tags if missing
-          if (!thoughtData.tags || !thoughtData.tags.length) {
-            thoughtData.tags = thoughtsModel.identifyTags(thoughtData.message)
-          }
-
-          return thoughtData
-        })
-
-        const result = await Thought.insertMany(transformedThoughts)
-        console.log(
-          `✅ Successfully imported ${result.length} thoughts to MongoDB`
-        )
-      } catch (error) {
-        console.error('Migration failed:', error)
-      }
-    } else {
-      console.log(`Database contains ${count} thoughts, skipping migration`)
-    }
-
-    // Start server last
-    const PORT = process.env.PORT || 8080
-
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`Server running on http://localhost:${PORT}`)
+warnIfMailUndeliverable()
+
+// Pick the storage backend once, then start the server
+initStorage()
+  .then(async (storage) => {
+    // Tag with the stored taxonomy (the defaults stay if it can't be read)
+    await loadTaxonomy().catch((error) =>
+      logger.error('Failed to load the tag taxonomy', { error })
+    )
+    // Score thoughts saved before sentiment was tracked, in the background
+    scoreUnscoredThoughts()
+      .then((scored) => {
+        if (scored) logger.info(`Scored the sentiment of ${scored} thoughts`)
+      })
+      .catch((error) =>
+        logger.error('Scoring thought sentiment failed', { error })
+      )
+    startWebhookDispatcher()
+    const server = app.listen(port, '0.0.0.0', () => {
+      logger.info(
+        `Server running with ${storage.mode} storage on http://localhost:${port}`,
+        { port, storage: storage.mode }
+      )
     })
+
+    // Shutdown order: stop taking requests and let in-flight ones finish,
+    // then webhook deliveries, then the storage connection
+    onShutdown('http server', async () => {
+      const closed = new Promise((resolve) => server.close(resolve))
+      server.closeIdleConnections()
+      // Event streams never finish on their own
+      closeAllStreams()
+      await closed
+    })
+    onShutdown('webhook dispatcher', stopWebhookDispatcher)
+    onShutdown('storage', () => storage.close())
   })
   .catch((err) => {
-    console.error('MongoDB connection error:', err)
-    // Still start server even if DB connection fails
-    app.listen(port, () => {
-      console.log(
-        `Server running in file-based mode on http://localhost:${port}`
-      )
-    })
+    logger.error('Failed to initialize storage', { error: err })
+    process.exit(1)
   })
 
-// Handle uncaught exceptions
+// Drain and exit on SIGTERM (e.g. a deploy) and SIGINT (Ctrl+C)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => shutdown({ reason: signal }))
+}
+
+// The process state can't be trusted after these; shut down and exit with 1
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error)
+  logger.error('Uncaught exception', { error })
+  shutdown({ reason: 'uncaughtException', exitCode: 1 })
 })
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason)
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection', { error: reason })
+  shutdown({ reason: 'unhandledRejection', exitCode: 1 })
 })
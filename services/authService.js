@@ -0,0 +1,193 @@
+/**
+ * Auth Service
+ * Purpose: Issues short-lived access tokens and rotating refresh tokens, and revokes sessions.
+ * Usage: Called by the user controller (login, refresh, logout) and by the auth middleware.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+import { getStorage } from '../storage/index.js'
+import { AuthenticationError } from '../utils/errors.js'
+
+const JWT_SECRET = process.env.JWT_SECRET
+
+// Access tokens live for 15 minutes, refresh tokens for 30 days by default
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30
+// Anonymous client tokens only identify a browser, so they can live long
+const CLIENT_TOKEN_TTL = '365d'
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex')
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url')
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, username: user.username, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  )
+
+/**
+ * Starts a new session for a user who just signed up or logged in
+ */
+export const createSession = async (user, { userAgent = null } = {}) => {
+  const refreshToken = newRefreshToken()
+  const session = await getStorage().createSession({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    userAgent
+  })
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  }
+}
+
+/**
+ * Swaps a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated out revokes the
+ * whole session, since it means the token was copied.
+ */
+export const refreshSession = async (refreshToken) => {
+  const storage = getStorage()
+  const tokenHash = hashToken(refreshToken)
+  const session = await storage.findSessionByTokenHash(tokenHash)
+
+  if (!session) {
+    throw new AuthenticationError(
+      'Invalid refresh token',
+      'INVALID_REFRESH_TOKEN'
+    )
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw new AuthenticationError(
+      'Refresh token has expired or been revoked',
+      'INVALID_REFRESH_TOKEN'
+    )
+  }
+
+  const user = await storage.findUserById(session.user)
+  if (!user || user.bannedAt) {
+    await storage.revokeSession(session._id)
+    throw new AuthenticationError(
+      'Invalid refresh token',
+      'INVALID_REFRESH_TOKEN'
+    )
+  }
+
+  const nextToken = newRefreshToken()
+  const rotated =
+    session.tokenHash === tokenHash &&
+    (await storage.rotateSession(session._id, tokenHash, {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date()
+    }))
+
+  if (!rotated) {
+    // Replay of an old token, or lost a race with another refresh
+    await storage.revokeSession(session._id)
+    throw new AuthenticationError(
+      'Refresh token has already been used',
+      'REFRESH_TOKEN_REUSED'
+    )
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  }
+}
+
+/**
+ * Verifies an access token and that its session has not been revoked.
+ * Resolves to { userId, username, sessionId }.
+ */
+export const verifyAccessToken = async (token) => {
+  let payload
+  try {
+    payload = jwt.verify(token, JWT_SECRET)
+  } catch {
+    throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN')
+  }
+
+  // Tokens issued before sessions existed carry no sid
+  if (!payload.sid) {
+    throw new AuthenticationError('Invalid or expired token', 'INVALID_TOKEN')
+  }
+
+  const session = await getStorage().findSessionById(payload.sid)
+  if (!session || session.revokedAt || session.user !== payload.userId) {
+    throw new AuthenticationError('Session has been revoked', 'SESSION_REVOKED')
+  }
+
+  return {
+    userId: payload.userId,
+    username: payload.username,
+    sessionId: payload.sid
+  }
+}
+
+/**
+ * Issues a signed token for an anonymous client, so its likes can be
+ * tracked (and carried over if it signs up) without an account
+ */
+export const issueClientToken = () => {
+  const clientId = crypto.randomUUID()
+  const clientToken = jwt.sign({ cid: clientId, typ: 'client' }, JWT_SECRET, {
+    expiresIn: CLIENT_TOKEN_TTL
+  })
+  return { clientId, clientToken }
+}
+
+/**
+ * Client id from an anonymous client token, or null if it isn't valid
+ */
+export const verifyClientToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET)
+    return payload.typ === 'client' && payload.cid ? payload.cid : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Ends one session, found by its id or by its refresh token
+ */
+export const logout = async ({ sessionId, refreshToken }) => {
+  const storage = getStorage()
+
+  if (!sessionId && refreshToken) {
+    const session = await storage.findSessionByTokenHash(
+      hashToken(refreshToken)
+    )
+    sessionId = session?._id
+  }
+
+  if (sessionId) {
+    await storage.revokeSession(sessionId)
+  }
+}
+
+/**
+ * Ends every session of a user, returns how many were revoked
+ */
+export const logoutAll = async (userId) => {
+  return getStorage().revokeUserSessions(userId)
+}
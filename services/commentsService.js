@@ -0,0 +1,104 @@
+/**
+ * Comments Service
+ * Purpose: Provides reusable service functions for comments and replies on thoughts.
+ * Usage: Called by the comments controller; works with whichever storage adapter is active.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { getStorage } from '../storage/index.js'
+import { AuthorizationError, NotFoundError } from '../utils/errors.js'
+import { identifyTags } from '../utils/tagging.js'
+
+const findThoughtOrThrow = async (thoughtId) => {
+  const thought = await getStorage().findThoughtById(thoughtId)
+  // Hidden thoughts can't be read or commented on
+  if (!thought || thought.hidden) {
+    throw new NotFoundError('Thought')
+  }
+  return thought
+}
+
+// Load a comment and make sure it belongs to the thought in the URL
+const findCommentOrThrow = async (thoughtId, commentId) => {
+  const comment = await getStorage().findCommentById(commentId)
+  if (!comment || comment.thought !== String(thoughtId)) {
+    throw new NotFoundError('Comment')
+  }
+  return comment
+}
+
+const assertAuthor = (comment, userId, action) => {
+  if (!comment.user) {
+    throw new AuthorizationError(`Anonymous comments cannot be ${action}d`)
+  }
+  if (comment.user._id !== userId) {
+    throw new AuthorizationError(`You can only ${action} your own comments`)
+  }
+}
+
+/**
+ * Top-level comments, oldest first, each with its replies attached
+ */
+export const getComments = async (thoughtId, page = 1, limit = 10) => {
+  const storage = getStorage()
+  await findThoughtOrThrow(thoughtId)
+
+  const skip = (page - 1) * limit
+  const [comments, totalComments] = await Promise.all([
+    storage.listComments(thoughtId, { skip, limit }),
+    storage.countComments(thoughtId)
+  ])
+
+  const replies = comments.length
+    ? await storage.listReplies(comments.map((comment) => comment._id))
+    : []
+
+  return {
+    comments: comments.map((comment) => ({
+      ...comment,
+      replies: replies.filter((reply) => reply.parent === comment._id)
+    })),
+    totalPages: Math.ceil(totalComments / limit)
+  }
+}
+
+export const createComment = async (
+  thoughtId,
+  { message, parentId = null },
+  userId = null
+) => {
+  await findThoughtOrThrow(thoughtId)
+
+  let parent = null
+  if (parentId) {
+    const parentComment = await findCommentOrThrow(thoughtId, parentId)
+    // Replies to a reply are attached to the top-level comment
+    parent = parentComment.parent || parentComment._id
+  }
+
+  return getStorage().createComment({
+    thought: thoughtId,
+    parent,
+    message: message.trim(),
+    tags: identifyTags(message),
+    ...(userId ? { user: userId } : {})
+  })
+}
+
+export const updateComment = async (thoughtId, commentId, message, userId) => {
+  const comment = await findCommentOrThrow(thoughtId, commentId)
+  assertAuthor(comment, userId, 'update')
+
+  return getStorage().updateComment(commentId, {
+    message: message.trim(),
+    tags: identifyTags(message)
+  })
+}
+
+export const deleteComment = async (thoughtId, commentId, userId) => {
+  const comment = await findCommentOrThrow(thoughtId, commentId)
+  assertAuthor(comment, userId, 'delete')
+
+  return getStorage().deleteComment(commentId)
+}
@@ -0,0 +1,121 @@
+/**
+ * Events Service
+ * Purpose: In-process event bus for thought changes, with a short replay buffer.
+ * Usage: Services publish events after a change; the stream endpoint (and
+ *        anything else interested) subscribes.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+import { EventEmitter } from 'events'
+
+import { formatThought } from '../utils/formatters.js'
+import { logger } from '../utils/logger.js'
+import { countReactions } from '../utils/reactions.js'
+
+export const THOUGHT_EVENTS = [
+  'thought.created',
+  'thought.updated',
+  'thought.deleted',
+  'thought.liked'
+]
+
+// How many recent events a reconnecting client can catch up on
+const REPLAY_BUFFER_SIZE = 500
+
+// Ids look like "<boot id>-<sequence>", so ids from before a restart are
+// recognised and not mixed up with new ones
+const bootId = crypto.randomBytes(4).toString('hex')
+let sequence = 0
+const recent = []
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0) // one listener per open stream
+
+const sequenceOf = (id) => {
+  const [boot, seq] = String(id).split('-')
+  const number = Number(seq)
+  return boot === bootId && Number.isInteger(number) ? number : null
+}
+
+/**
+ * Publishes an event to every subscriber and keeps it for replay.
+ * `webhookEvent` is the name webhooks receive it under, when that is more
+ * specific than what the stream shows (null keeps it from webhooks).
+ */
+export const publish = (type, data, { webhookEvent = type } = {}) => {
+  sequence += 1
+  const event = {
+    id: `${bootId}-${sequence}`,
+    type,
+    data,
+    createdAt: new Date().toISOString(),
+    webhookEvent
+  }
+
+  recent.push(event)
+  if (recent.length > REPLAY_BUFFER_SIZE) recent.shift()
+
+  emitter.emit('event', event)
+  return event
+}
+
+/**
+ * Calls listener with every event from now on, returns an unsubscribe function.
+ * A failing listener is logged and never breaks the change that published.
+ */
+export const subscribe = (listener) => {
+  const safeListener = (event) => {
+    try {
+      listener(event)
+    } catch (error) {
+      logger.error(`Event listener failed for ${event.type}`, { error })
+    }
+  }
+
+  emitter.on('event', safeListener)
+  return () => emitter.off('event', safeListener)
+}
+
+/**
+ * Events published after lastEventId, or null when they can't all be
+ * replayed (an id from before a restart, or older than the buffer)
+ */
+export const eventsSince = (lastEventId) => {
+  const last = sequenceOf(lastEventId)
+  if (last === null || last > sequence) return null
+
+  const oldestBuffered = sequence - recent.length + 1
+  if (last < oldestBuffered - 1) return null
+
+  return recent.filter((event) => sequenceOf(event.id) > last)
+}
+
+// What each event carries; every payload has the thought's id and tags so
+// subscribers can filter by tag
+const thoughtPayload = {
+  'thought.created': (thought) => formatThought(thought),
+  'thought.updated': (thought) => formatThought(thought),
+  'thought.deleted': (thought) => ({ _id: thought._id, tags: thought.tags }),
+  'thought.liked': (thought) => ({
+    _id: thought._id,
+    tags: thought.tags,
+    hearts: thought.hearts,
+    reactionCounts: countReactions(thought)
+  })
+}
+
+/**
+ * Publishes a change to a thought. Hidden thoughts are private, so only
+ * their removal from the public list is announced (as thought.deleted;
+ * webhooks get it as thought.hidden).
+ */
+export const publishThoughtEvent = (type, thought, { webhookEvent } = {}) => {
+  if (!thought) return null
+  if (thought.hidden && type !== 'thought.deleted') return null
+
+  return publish(type, thoughtPayload[type](thought), {
+    webhookEvent: webhookEvent || type
+  })
+}
@@ -0,0 +1,76 @@
+/**
+ * Health Service
+ * Purpose: Liveness and readiness checks: is the process up, and can it serve requests right now.
+ * Usage: Called by the health controller for GET /health/live and /health/ready.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { getStorage } from '../storage/index.js'
+import { isShuttingDown } from '../utils/shutdown.js'
+import { isWebhookDispatcherRunning } from './webhookService.js'
+
+// A dependency that doesn't answer in time counts as down
+const CHECK_TIMEOUT_MS = 2000
+
+const version = process.env.npm_package_version || '1.0.0'
+
+// Never throws: a failing or slow check is reported as { status: 'down' }
+const runCheck = async (check) => {
+  let timer
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(
+      () => resolve({ status: 'down', error: 'Timed out' }),
+      CHECK_TIMEOUT_MS
+    )
+  })
+
+  try {
+    return await Promise.race([check(), timeout])
+  } catch (error) {
+    return { status: 'down', error: error.message }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * The process is running and the event loop responds
+ */
+export const getLiveness = () => ({
+  status: 'ok',
+  uptime: process.uptime(),
+  timestamp: new Date()
+})
+
+/**
+ * Status of each dependency. `ready` is false while storage is down or the
+ * server is shutting down; the webhook dispatcher is reported but optional.
+ */
+export const getReadiness = async () => {
+  const storage = getStorage()
+  const checks = {
+    storage: await runCheck(() => storage.checkHealth()),
+    webhookDispatcher: {
+      status: isWebhookDispatcherRunning() ? 'up' : 'down',
+      critical: false
+    }
+  }
+
+  let status = 'ready'
+  if (isShuttingDown()) {
+    status = 'shutting_down'
+  } else if (checks.storage.status !== 'up') {
+    status = 'unavailable'
+  }
+
+  return {
+    ready: status === 'ready',
+    status,
+    storage: storage.mode,
+    checks,
+    uptime: process.uptime(),
+    timestamp: new Date(),
+    version
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Mail Service
+ * Purpose: Sends emails through a pluggable transport, with local console/file transports.
+ * Usage: MAIL_TRANSPORT=console (default outside production) or file; call setMailTransport() to plug in SMTP or an API.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+import { logger } from '../utils/logger.js'
+
+const MAIL_DIR = process.env.MAIL_DIR || './data/mail'
+const MAIL_FROM = process.env.MAIL_FROM || 'Happy Thoughts <no-reply@localhost>'
+
+const isProduction = process.env.NODE_ENV === 'production'
+
+// Reset links carry live tokens, so in production long token-like strings
+// are hidden; in development the link stays usable
+const TOKEN_PATTERN = /[A-Za-z0-9_-]{32,}/g
+
+/**
+ * A transport is any object with an async send({ from, to, subject, text })
+ */
+export const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}`, {
+      to: message.to,
+      subject: message.subject,
+      text: isProduction
+        ? message.text.replace(TOKEN_PATTERN, '[REDACTED]')
+        : message.text
+    })
+  }
+}
+
+// Writes each message to MAIL_DIR as JSON, handy for tests without a mail server
+export const createFileTransport = (dir = MAIL_DIR) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true })
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    )
+  }
+})
+
+let transport =
+  process.env.MAIL_TRANSPORT === 'file'
+    ? createFileTransport()
+    : consoleTransport
+
+export const setMailTransport = (nextTransport) => {
+  transport = nextTransport
+}
+
+/**
+ * Warns in production while mail stays on the server (console or file),
+ * since users never receive their reset links then. Called once at startup.
+ */
+export const warnIfMailUndeliverable = () => {
+  if (isProduction && ['console', 'file'].includes(transport.name)) {
+    logger.warn(
+      `Mail uses the ${transport.name} transport, so password reset emails never reach users; plug in a mail transport with setMailTransport()`
+    )
+  }
+}
+
+export const sendMail = async ({ to, subject, text }) => {
+  return transport.send({ from: MAIL_FROM, to, subject, text })
+}
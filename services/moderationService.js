@@ -0,0 +1,273 @@
+/**
+ * Moderation Service
+ * Purpose: Reports, hiding and removing any thought, banning users and assigning roles.
+ * Usage: Called by the moderation controller; moderation routes are guarded by requireRole.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+
+import { REPORT_REASONS } from '../models/Report.js'
+import { getStorage } from '../storage/index.js'
+import {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js'
+import { hasRole, isValidRole, ROLES } from '../utils/roles.js'
+import { publishThoughtEvent } from './eventsService.js'
+
+// Distinct open reports that hide a thought until a moderator reviews it
+const REPORT_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3
+
+const findThoughtOrThrow = async (id) => {
+  const thought = await getStorage().findThoughtById(id)
+  if (!thought) {
+    throw new NotFoundError('Thought')
+  }
+  return thought
+}
+
+const findUserOrThrow = async (id) => {
+  const user = await getStorage().findUserById(id)
+  if (!user) {
+    throw new NotFoundError('User')
+  }
+  return user
+}
+
+// Moderators can only act on users ranked below them
+const assertOutranks = (moderator, target, action) => {
+  if (target._id === moderator.userId) {
+    throw new ValidationError(`You cannot ${action} yourself`)
+  }
+  if (hasRole(target, moderator.role)) {
+    throw new AuthorizationError(
+      `You cannot ${action} a user with the ${target.role} role`
+    )
+  }
+}
+
+// One report per account, per client token, or per hashed IP for anonymous
+// clients without a token
+const reporterKey = ({ userId, clientId, ip }) => {
+  if (userId) return `user:${userId}`
+  if (clientId) return `client:${clientId}`
+  return `ip:${crypto.createHash('sha256').update(String(ip)).digest('hex')}`
+}
+
+/**
+ * Files a report. Enough distinct reports hide the thought until a
+ * moderator hides or restores it for good.
+ */
+export const reportThought = async (
+  id,
+  { reason, details = null, userId = null, clientId = null, ip }
+) => {
+  const storage = getStorage()
+
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ValidationError(
+      `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    )
+  }
+
+  const thought = await storage.findThoughtById(id)
+  if (!thought || thought.hidden) {
+    throw new NotFoundError('Thought')
+  }
+
+  if (userId && thought.user?._id === userId) {
+    throw new ValidationError('You cannot report your own thought')
+  }
+
+  const report = await storage.createReport({
+    thought: id,
+    user: userId,
+    reporterKey: reporterKey({ userId, clientId, ip }),
+    reason,
+    details
+  })
+  if (!report) {
+    throw new ConflictError(
+      'You have already reported this thought',
+      {},
+      'ALREADY_REPORTED'
+    )
+  }
+
+  const reportCount = await storage.countOpenReports(id)
+  const changes = { reportCount }
+
+  if (reportCount >= REPORT_HIDE_THRESHOLD) {
+    const reasons = await storage.summarizeOpenReports([id])
+    Object.assign(changes, {
+      hidden: true,
+      hiddenReason: `Hidden after ${reportCount} reports (${Object.keys(
+        reasons[id] || {}
+      ).join(', ')}), waiting for review`,
+      hiddenAt: new Date(),
+      hiddenBy: null
+    })
+  }
+
+  const updated = await storage.updateThought(id, changes)
+  if (updated?.hidden) {
+    publishThoughtEvent('thought.deleted', updated, {
+      webhookEvent: 'thought.hidden'
+    })
+  }
+  return report
+}
+
+/**
+ * Thoughts waiting for review, oldest first, with their open reports by
+ * reason. status "reported" (default) lists thoughts with open reports,
+ * "hidden" lists every hidden thought.
+ */
+export const getQueue = async (
+  page = 1,
+  limit = 10,
+  { status = 'reported' } = {}
+) => {
+  const storage = getStorage()
+  const filters =
+    status === 'hidden'
+      ? { visibility: 'hidden' }
+      : { visibility: 'all', reported: true }
+
+  const [thoughts, total] = await Promise.all([
+    storage.listThoughts({
+      skip: (page - 1) * limit,
+      limit,
+      sort: 'oldest',
+      filters
+    }),
+    storage.countThoughts(filters)
+  ])
+
+  const reports = thoughts.length
+    ? await storage.summarizeOpenReports(thoughts.map((t) => t._id))
+    : {}
+
+  return {
+    thoughts: thoughts.map((thought) => ({
+      ...thought,
+      reports: reports[thought._id] || {}
+    })),
+    total,
+    totalPages: Math.ceil(total / limit)
+  }
+}
+
+/**
+ * Hides a thought for good; its open reports count as upheld
+ */
+export const hideThought = async (id, { reason = null, moderatorId }) => {
+  const storage = getStorage()
+  const thought = await findThoughtOrThrow(id)
+
+  await storage.resolveReports(id, {
+    status: 'upheld',
+    resolvedBy: moderatorId
+  })
+
+  const hidden = await storage.updateThought(id, {
+    hidden: true,
+    hiddenReason: reason || 'Hidden by a moderator',
+    hiddenAt: thought.hiddenAt || new Date(),
+    hiddenBy: moderatorId,
+    reportCount: 0
+  })
+  if (!thought.hidden) {
+    publishThoughtEvent('thought.deleted', hidden, {
+      webhookEvent: 'thought.hidden'
+    })
+  }
+  return hidden
+}
+
+/**
+ * Makes a thought public again; its open reports are dismissed
+ */
+export const restoreThought = async (id, { moderatorId }) => {
+  const storage = getStorage()
+  const thought = await findThoughtOrThrow(id)
+
+  await storage.resolveReports(id, {
+    status: 'dismissed',
+    resolvedBy: moderatorId
+  })
+
+  const restored = await storage.updateThought(id, {
+    hidden: false,
+    hiddenReason: null,
+    hiddenAt: null,
+    hiddenBy: null,
+    reportCount: 0
+  })
+  // Back in the public list, so it arrives like a new thought
+  if (thought.hidden) {
+    publishThoughtEvent('thought.created', restored, {
+      webhookEvent: 'thought.restored'
+    })
+  }
+  return restored
+}
+
+/**
+ * Deletes any thought, including anonymous ones
+ */
+export const removeThought = async (id) => {
+  const thought = await findThoughtOrThrow(id)
+  const deleted = await getStorage().deleteThought(id)
+
+  // Hidden thoughts already left the public list when they were hidden
+  if (!thought.hidden) publishThoughtEvent('thought.deleted', thought)
+  return deleted
+}
+
+/**
+ * Bans a user and signs them out everywhere
+ */
+export const banUser = async (userId, { reason = null, moderator }) => {
+  const storage = getStorage()
+  const user = await findUserOrThrow(userId)
+  assertOutranks(moderator, user, 'ban')
+
+  const banned = await storage.updateUser(userId, {
+    bannedAt: new Date(),
+    banReason: reason
+  })
+  await storage.revokeUserSessions(userId)
+
+  return banned
+}
+
+export const unbanUser = async (userId, { moderator }) => {
+  const user = await findUserOrThrow(userId)
+  assertOutranks(moderator, user, 'unban')
+
+  return getStorage().updateUser(userId, { bannedAt: null, banReason: null })
+}
+
+/**
+ * Changes a user's role (admins only, enforced by the route)
+ */
+export const setUserRole = async (userId, role, { admin }) => {
+  if (!isValidRole(role)) {
+    throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`)
+  }
+
+  await findUserOrThrow(userId)
+
+  // Keeps at least the acting admin around
+  if (userId === admin.userId) {
+    throw new ValidationError('You cannot change your own role')
+  }
+
+  return getStorage().updateUser(userId, { role })
+}
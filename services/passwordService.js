@@ -0,0 +1,121 @@
+/**
+ * Password Service
+ * Purpose: Password change and the token-based password reset flow.
+ * Usage: Called by the user controller; reset tokens are delivered through the mail service.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import bcrypt from 'bcrypt'
+import crypto from 'crypto'
+
+import { getStorage } from '../storage/index.js'
+import {
+  AuthenticationError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js'
+import { assertValidPassword } from '../utils/passwords.js'
+import { sendMail } from './mailService.js'
+
+const RESET_TOKEN_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60
+const RESET_URL =
+  process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Changes the password of a logged-in user. Other sessions are signed out,
+ * the current one stays.
+ */
+export const changePassword = async (
+  userId,
+  { currentPassword, newPassword },
+  { sessionId = null } = {}
+) => {
+  const storage = getStorage()
+  assertValidPassword(newPassword, 'New password')
+
+  const user = await storage.findUserById(userId)
+  if (!user) {
+    throw new NotFoundError('User')
+  }
+
+  const withHash = await storage.findUserByUsername(user.username, {
+    includePassword: true
+  })
+  if (!(await bcrypt.compare(currentPassword || '', withHash.password))) {
+    throw new AuthenticationError(
+      'Current password is incorrect',
+      'INCORRECT_PASSWORD'
+    )
+  }
+
+  if (currentPassword === newPassword) {
+    throw new ValidationError('New password must differ from the current one')
+  }
+
+  await storage.setUserPassword(userId, newPassword)
+  await storage.revokeUserSessions(userId, { exceptSessionId: sessionId })
+}
+
+/**
+ * Mails a single-use reset link if the account exists and has an email.
+ * Resolves the same way either way, so it can't be used to probe accounts.
+ */
+export const requestPasswordReset = async ({ username, email }) => {
+  const storage = getStorage()
+
+  const user = email
+    ? await storage.findUserByEmail(email)
+    : await storage.findUserByUsername(username)
+  if (!user?.email) return
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await storage.createPasswordReset({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+  })
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Happy Thoughts password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account.',
+      `Use this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:`,
+      `${RESET_URL}/${token}`,
+      '',
+      'If it was not you, you can ignore this email.'
+    ].join('\n')
+  })
+}
+
+/**
+ * Sets a new password from a reset token and signs out every session
+ */
+export const resetPassword = async (token, newPassword) => {
+  const storage = getStorage()
+  assertValidPassword(newPassword, 'New password')
+
+  const reset = await storage.findPasswordResetByTokenHash(hashToken(token))
+  if (!reset || reset.usedAt || reset.expiresAt < new Date()) {
+    throw new ValidationError('Reset link is invalid or has expired')
+  }
+
+  // Claim the token before changing anything, so it works only once
+  if (!(await storage.consumePasswordReset(reset._id))) {
+    throw new ValidationError('Reset link is invalid or has expired')
+  }
+
+  const user = await storage.setUserPassword(reset.user, newPassword)
+  if (!user) {
+    throw new ValidationError('Reset link is invalid or has expired')
+  }
+
+  await storage.revokeUserSessions(user._id)
+}
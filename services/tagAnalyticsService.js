@@ -0,0 +1,85 @@
+/**
+ * Tag Analytics Service
+ * Purpose: Tag counts and hearts, tag activity over time and tags used together.
+ * Usage: Called by the tag analytics controller for GET /tags, /tags/:tag/stats and /tags/related/:tag.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { getStorage } from '../storage/index.js'
+import { NotFoundError } from '../utils/errors.js'
+import { listPeriods, resolvePeriodRange } from '../utils/periods.js'
+
+export const TAG_SORTS = ['popular', 'hearts', 'recent', 'name']
+
+// Related tags shown with a tag's stats
+const STATS_RELATED_LIMIT = 5
+
+// Share of the tag's thoughts that also have the related tag
+const withShares = (related, thoughtCount) =>
+  related.map((row) => ({
+    ...row,
+    share: Math.round((row.count / thoughtCount) * 1000) / 1000
+  }))
+
+const findTagSummaryOrThrow = async (tag) => {
+  const summary = await getStorage().getTagSummary(tag)
+  if (!summary.thoughtCount) {
+    throw new NotFoundError('Tag')
+  }
+  return summary
+}
+
+/**
+ * Tags on visible thoughts with their thought count, hearts and when they
+ * were last used, most popular first by default
+ */
+export const listTags = async ({ sort = 'popular' } = {}) => {
+  return getStorage().listTagStats({ sort })
+}
+
+/**
+ * A tag's totals, thoughts and hearts per day, week or month (quiet periods
+ * included as zeros) and the tags most often used with it
+ */
+export const getTagStats = async (
+  tag,
+  { interval = 'day', since = null, until = null } = {}
+) => {
+  const storage = getStorage()
+  const summary = await findTagSummaryOrThrow(tag)
+  const range = resolvePeriodRange({ interval, since, until })
+
+  const [activity, related] = await Promise.all([
+    storage.summarizeTagActivity(tag, { interval, ...range }),
+    storage.listRelatedTags(tag, { limit: STATS_RELATED_LIMIT })
+  ])
+  const byPeriod = new Map(activity.map((row) => [row.period, row]))
+
+  return {
+    tag,
+    ...summary,
+    interval,
+    ...range,
+    timeline: listPeriods({ interval, ...range }).map((period) => ({
+      period,
+      thoughtCount: byPeriod.get(period)?.thoughtCount || 0,
+      hearts: byPeriod.get(period)?.hearts || 0
+    })),
+    related: withShares(related, summary.thoughtCount)
+  }
+}
+
+/**
+ * Tags most often used together with a tag, for tag-to-tag navigation
+ */
+export const getRelatedTags = async (tag, { limit = 10 } = {}) => {
+  const summary = await findTagSummaryOrThrow(tag)
+  const related = await getStorage().listRelatedTags(tag, { limit })
+
+  return {
+    tag,
+    thoughtCount: summary.thoughtCount,
+    related: withShares(related, summary.thoughtCount)
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Taxonomy Service
+ * Purpose: Manages the tag categories (keywords per language and emojis) that thoughts are tagged with.
+ * Usage: Called by the taxonomy controller; loadTaxonomy() runs once at server start.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { getStorage } from '../storage/index.js'
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js'
+import { setTaxonomy, SUPPORTED_LANGUAGES } from '../utils/tagging.js'
+
+// Same rules as a tag: lowercase letters, digits and dashes
+const NAME_PATTERN = /^[\p{Ll}\p{N}][\p{Ll}\p{N}-]*$/u
+const MAX_NAME_LENGTH = 30
+const MAX_KEYWORD_LENGTH = 50
+const MAX_EMOJI_LENGTH = 16
+
+const parseName = (name) => {
+  const parsed = typeof name === 'string' ? name.trim().toLowerCase() : ''
+
+  if (
+    !parsed ||
+    parsed.length > MAX_NAME_LENGTH ||
+    !NAME_PATTERN.test(parsed)
+  ) {
+    throw new ValidationError(
+      `Category name must be up to ${MAX_NAME_LENGTH} letters, digits or dashes`
+    )
+  }
+  return parsed
+}
+
+const parseDescription = (description) => {
+  if (description === undefined || description === null) return null
+  if (typeof description !== 'string' || description.trim().length > 200) {
+    throw new ValidationError(
+      'Description must be text of at most 200 characters'
+    )
+  }
+  return description.trim() || null
+}
+
+const isTextList = (value, maxLength) =>
+  Array.isArray(value) &&
+  value.every(
+    (item) =>
+      typeof item === 'string' && item.trim() && item.trim().length <= maxLength
+  )
+
+// { en: ['coffee'], sv: ['kaffe'] }, trimmed, lowercased and de-duplicated
+const parseKeywords = (keywords) => {
+  if (!keywords || typeof keywords !== 'object' || Array.isArray(keywords)) {
+    throw new ValidationError(
+      'Keywords must be an object of keyword lists by language, e.g. { "en": ["coffee"] }'
+    )
+  }
+
+  const parsed = {}
+  for (const [language, terms] of Object.entries(keywords)) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new ValidationError(
+        `Keyword languages must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+      )
+    }
+    if (!isTextList(terms, MAX_KEYWORD_LENGTH)) {
+      throw new ValidationError(
+        `Keywords must be a list of words or phrases of at most ${MAX_KEYWORD_LENGTH} characters`
+      )
+    }
+    if (terms.length) {
+      parsed[language] = [
+        ...new Set(terms.map((term) => term.trim().toLowerCase()))
+      ]
+    }
+  }
+  return parsed
+}
+
+const parseEmojis = (emojis) => {
+  if (!isTextList(emojis, MAX_EMOJI_LENGTH)) {
+    throw new ValidationError('Emojis must be a list of emojis')
+  }
+  return [...new Set(emojis.map((emoji) => emoji.trim()))]
+}
+
+// A category that can never match would silently do nothing
+const assertMatchesSomething = ({ keywords, emojis }) => {
+  if (!Object.keys(keywords).length && !emojis.length) {
+    throw new ValidationError('A category needs at least one keyword or emoji')
+  }
+}
+
+const findCategoryOrThrow = async (name) => {
+  const category = await getStorage().findTagCategory(
+    String(name).toLowerCase()
+  )
+  if (!category) {
+    throw new NotFoundError('Tag category')
+  }
+  return category
+}
+
+const assertNameAvailable = async (name) => {
+  if (await getStorage().findTagCategory(name)) {
+    throw new ConflictError(
+      `A category named "${name}" already exists`,
+      {},
+      'CATEGORY_EXISTS'
+    )
+  }
+}
+
+/**
+ * Loads the stored categories into the tagger, returns how many there are
+ */
+export const loadTaxonomy = async () => {
+  const categories = await getStorage().listTagCategories()
+  setTaxonomy(categories)
+  return categories.length
+}
+
+export const listCategories = async () => {
+  return getStorage().listTagCategories()
+}
+
+export const getCategory = async (name) => {
+  return findCategoryOrThrow(name)
+}
+
+/**
+ * Adds a category; new thoughts are tagged with it right away, existing
+ * ones after a re-tag
+ */
+export const createCategory = async ({
+  name,
+  description,
+  keywords = {},
+  emojis = []
+}) => {
+  const category = {
+    name: parseName(name),
+    description: parseDescription(description),
+    keywords: parseKeywords(keywords),
+    emojis: parseEmojis(emojis)
+  }
+  assertMatchesSomething(category)
+  await assertNameAvailable(category.name)
+
+  const created = await getStorage().createTagCategory(category)
+  await loadTaxonomy()
+  return created
+}
+
+/**
+ * Changes name, description, keywords or emojis. Keywords and emojis
+ * replace the current lists.
+ */
+export const updateCategory = async (name, changes) => {
+  const current = await findCategoryOrThrow(name)
+
+  const update = {}
+  if (changes.name !== undefined) update.name = parseName(changes.name)
+  if (changes.description !== undefined) {
+    update.description = parseDescription(changes.description)
+  }
+  if (changes.keywords !== undefined) {
+    update.keywords = parseKeywords(changes.keywords)
+  }
+  if (changes.emojis !== undefined) {
+    update.emojis = parseEmojis(changes.emojis)
+  }
+
+  assertMatchesSomething({ ...current, ...update })
+  if (update.name && update.name !== current.name) {
+    await assertNameAvailable(update.name)
+  }
+
+  const updated = await getStorage().updateTagCategory(current.name, update)
+  await loadTaxonomy()
+  return updated
+}
+
+export const deleteCategory = async (name) => {
+  const category = await findCategoryOrThrow(name)
+
+  await getStorage().deleteTagCategory(category.name)
+  await loadTaxonomy()
+  return category
+}
@@ -1,189 +1,701 @@
 /**
  * Thoughts Service
- * Purpose: Provides reusable service functions for thoughts (database operations).
+ * Purpose: Provides reusable service functions for thoughts (storage operations).
  * Usage: Called by controllers to perform data access and manipulation.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
-import Thought from '../models/Thought.js'
-import { ThoughtsModel } from '../models/thoughtsModel.js'
-import { AuthorizationError, NotFoundError } from '../utils/errors.js'
+import { getStorage } from '../storage/index.js'
+import { decodeCursor, encodeCursor } from '../utils/cursor.js'
+import {
+  AuthorizationError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js'
+import { heartsGiven, thoughtsCreated } from '../utils/metrics.js'
+import { listPeriods, resolvePeriodRange } from '../utils/periods.js'
+import {
+  HEART,
+  isValidReaction,
+  reactionOf,
+  REACTIONS
+} from '../utils/reactions.js'
+import { hasRole } from '../utils/roles.js'
+import { highlight, queryTerms } from '../utils/search.js'
+import { analyzeSentiment, MOODS } from '../utils/sentiment.js'
+import { identifyTags } from '../utils/tagging.js'
+import { TRENDING_WINDOWS } from '../utils/trending.js'
+import { publishThoughtEvent } from './eventsService.js'
+
+// Add a commentCount (comments + replies) to each thought
+const withCommentCounts = async (thoughts) => {
+  if (!thoughts.length) return thoughts
+
+  const counts = await getStorage().countCommentsByThought(
+    thoughts.map((thought) => thought._id)
+  )
+  return thoughts.map((thought) => ({
+    ...thought,
+    commentCount: counts[thought._id] || 0
+  }))
+}
+
+// Swap an author username for an authorIds filter. Returns null when the
+// author doesn't exist, since nothing can match then.
+const resolveFilters = async ({ author, ...filters } = {}) => {
+  if (!author) return filters
 
-// Choose storage type based on environment
-const useDatabase = process.env.USE_DATABASE === 'true' || false
-const thoughtsModel = new ThoughtsModel(useDatabase)
+  const user = await getStorage().findUserByUsername(author)
+  return user ? { ...filters, authorIds: [user._id] } : null
+}
 
-// Create an instance for tag identification
-const fileThoughtsModel = new ThoughtsModel(false)
+// Fetch one extra thought to know whether there is another page
+const fetchCursorPage = async ({ after, limit, sort, filters }) => {
+  const thoughts = await getStorage().listThoughts({
+    after,
+    limit: limit + 1,
+    sort,
+    filters
+  })
+  const hasMore = thoughts.length > limit
+  const page = thoughts.slice(0, limit)
 
+  return {
+    thoughts: await withCommentCounts(page),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+  }
+}
+
+/**
+ * Page-number pagination, kept for existing clients. Counts matching
+ * thoughts on every call, so prefer getThoughtsByCursor.
+ */
 export const getPaginatedThoughts = async (
   page = 1,
   limit = 10,
-  populateUser = false
+  { sort = 'newest', filters = {} } = {}
 ) => {
+  const storage = getStorage()
+  const resolved = await resolveFilters(filters)
+  if (!resolved) return { thoughts: [], totalPages: 0 }
+
   const skip = (page - 1) * limit
+  const [thoughts, totalThoughts] = await Promise.all([
+    storage.listThoughts({ skip, limit, sort, filters: resolved }),
+    storage.countThoughts(resolved)
+  ])
+  const totalPages = Math.ceil(totalThoughts / limit)
 
-  let query = Thought.find().sort({ createdAt: -1 }).skip(skip).limit(limit)
+  return { thoughts: await withCommentCounts(thoughts), totalPages }
+}
 
-  if (populateUser) {
-    query = query.populate({
-      path: 'user',
-      select: 'username',
-      options: { strictPopulate: false } // Don't fail if user doesn't exist
-    })
+/**
+ * Keyset pagination with an opaque cursor, stable while new thoughts arrive.
+ * The first page (no cursor) also has totalPages, for clients that still
+ * paginate by page number.
+ */
+export const getThoughtsByCursor = async ({
+  cursor = null,
+  limit = 10,
+  sort = 'newest',
+  filters = {}
+} = {}) => {
+  const after = cursor ? decodeCursor(cursor, sort) : null
+  const resolved = await resolveFilters(filters)
+  if (!resolved) return { thoughts: [], nextCursor: null, totalPages: 0 }
+
+  if (cursor) {
+    return fetchCursorPage({ after, limit, sort, filters: resolved })
   }
 
-  const thoughts = await query
-  const totalThoughts = await Thought.countDocuments()
-  const totalPages = Math.ceil(totalThoughts / limit)
+  const [page, total] = await Promise.all([
+    fetchCursorPage({ after, limit, sort, filters: resolved }),
+    getStorage().countThoughts(resolved)
+  ])
+  return { ...page, totalPages: Math.ceil(total / limit) }
+}
+
+/**
+ * Thoughts from followed users, newest first. Uses keyset pagination so
+ * deep pages stay fast no matter how many accounts are followed.
+ */
+export const getFeed = async (userId, { cursor = null, limit = 10 } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null
+  const followingIds = await getStorage().listFollowingIds(userId)
 
-  return { thoughts, totalPages }
+  if (!followingIds.length) {
+    return { thoughts: [], nextCursor: null }
+  }
+
+  return fetchCursorPage({
+    after,
+    limit,
+    sort: 'newest',
+    filters: { authorIds: followingIds }
+  })
 }
 
-export const createThought = async (message, user = null) => {
-  const tags = thoughtsModel.identifyTags(message) // Tags are generated!
+/**
+ * Full-text search ranked by relevance, each result with a highlighted snippet
+ */
+export const searchThoughts = async (
+  { query, tag, author, since, until, minHearts },
+  page = 1,
+  limit = 10
+) => {
+  const storage = getStorage()
+  const terms = queryTerms(query)
+
+  if (!terms.length) {
+    throw new ValidationError('Search query must contain at least one word')
+  }
+
+  const filters = await resolveFilters({ tag, author, since, until, minHearts })
+  // Unknown authors simply have no thoughts
+  if (!filters) return { thoughts: [], total: 0, totalPages: 0 }
+
+  const { thoughts, total } = await storage.searchThoughts(query, filters, {
+    skip: (page - 1) * limit,
+    limit
+  })
+
+  const results = thoughts.map((thought) => ({
+    ...thought,
+    highlight: highlight(thought.message, terms)
+  }))
+
+  return {
+    thoughts: await withCommentCounts(results),
+    total,
+    totalPages: Math.ceil(total / limit)
+  }
+}
+
+export const createThought = async (message, userId = null) => {
+  const tags = identifyTags(message) // Tags are generated!
 
   const thoughtData = {
     message: message.trim(),
-    tags // Tags are included in the data
+    hearts: 0,
+    likes: [],
+    tags, // Tags are included in the data
+    themeTags: tags,
+    ...analyzeSentiment(message),
+    isAnonymous: !userId,
+    ...(userId ? { user: userId } : {})
   }
 
-  // Add user info if authenticated
-  if (user) {
-    thoughtData.user = user._id
-    thoughtData.isAnonymous = false
-  } else {
-    thoughtData.isAnonymous = true
+  const thought = await getStorage().createThought(thoughtData)
+  thoughtsCreated.inc()
+  publishThoughtEvent('thought.created', thought)
+  return thought
+}
+
+/**
+ * A single thought. Hidden thoughts are only returned to their author and
+ * to moderators.
+ */
+export const getThoughtById = async (id, viewerId = null) => {
+  const storage = getStorage()
+  const thought = await storage.findThoughtById(id)
+  if (!thought) return null
+
+  if (thought.hidden && thought.user?._id !== viewerId) {
+    const viewer = viewerId ? await storage.findUserById(viewerId) : null
+    if (!hasRole(viewer, 'moderator')) return null
   }
 
-  const thought = new Thought(thoughtData)
-  return await thought.save()
+  const [withCount] = await withCommentCounts([thought])
+  return withCount
 }
 
-export const getThoughtById = async (id, populateUser = false) => {
-  let query = Thought.findById(id)
+// Load a thought someone wants to react to, for a known user or client
+const findReactableThought = async (id, { userId, clientId }) => {
+  if (!userId && !clientId) {
+    throw new ValidationError(
+      'A client token is required for anonymous reactions'
+    )
+  }
 
-  if (populateUser) {
-    query = query.populate({
-      path: 'user',
-      select: 'username',
-      options: { strictPopulate: false } // Don't fail if user doesn't exist
-    })
+  const thought = await getStorage().findThoughtById(id)
+  if (!thought || thought.hidden) {
+    throw new NotFoundError('Thought')
   }
+  return thought
+}
 
-  return await query
+// What webhooks hear about a reaction change; the stream shows every change
+// as thought.liked with the new counts
+const reactionWebhookEvent = (previous, reaction) => {
+  if (reaction === HEART) return 'thought.liked'
+  if (previous === HEART) return 'thought.unliked'
+  return 'thought.reacted'
 }
 
-export const likeThought = async (id) => {
-  return await Thought.findByIdAndUpdate(
-    id,
-    { $inc: { hearts: 1 } },
-    { new: true }
-  )
+// Store a reaction change and announce the new counts
+const setReaction = async (thought, viewer, reaction) => {
+  const updated = await getStorage().setReaction(thought._id, viewer, reaction)
+  if (reaction === HEART) heartsGiven.inc()
+  publishThoughtEvent('thought.liked', updated, {
+    webhookEvent: reactionWebhookEvent(reactionOf(thought, viewer), reaction)
+  })
+  return updated
 }
 
-export const updateThought = async (id, updateData, userId) => {
-  try {
-    const { message, tags, preserveTags } = updateData
+/**
+ * Likes or unlikes a thought (a like is the heart reaction). Without an
+ * action it toggles; "like"/"unlike" pin the state so replaying a request
+ * can't add hearts.
+ */
+export const likeThought = async (id, { userId, clientId, action } = {}) => {
+  const viewer = { userId, clientId }
+  const thought = await findReactableThought(id, viewer)
 
-    const thought = await Thought.findById(id).populate('user', 'username')
+  const liked = reactionOf(thought, viewer) === HEART
+  const like = { like: true, unlike: false }[action] ?? !liked
+  if (like === liked) return thought
 
-    if (!thought) {
-      throw new NotFoundError('Thought not found')
-    }
+  return setReaction(thought, viewer, like ? HEART : null)
+}
 
-    console.log('Update authorization check:', {
-      thoughtUser: thought.user,
-      thoughtUserId: thought.user?._id?.toString() || thought.user?.toString(),
-      requestUserId: userId,
-      hasUser: !!thought.user
-    })
+/**
+ * Sets the viewer's reaction, replacing any earlier one (one per thought)
+ */
+export const reactToThought = async (id, reaction, viewer) => {
+  if (!isValidReaction(reaction)) {
+    throw new ValidationError(`Reaction must be one of: ${REACTIONS.join(' ')}`)
+  }
 
-    if (!thought.user) {
-      throw new AuthorizationError('Anonymous thoughts cannot be updated')
-    }
+  const thought = await findReactableThought(id, viewer)
+  if (reactionOf(thought, viewer) === reaction) return thought
 
-    const thoughtUserId =
-      thought.user._id?.toString() || thought.user.toString()
-    if (thoughtUserId !== userId) {
-      throw new AuthorizationError('You can only update your own thoughts')
-    }
+  return setReaction(thought, viewer, reaction)
+}
 
-    // Prepare update data
-    const updatedTags = preserveTags ? thought.tags : tags || []
-
-    // Update with findByIdAndUpdate
-    const updated = await Thought.findByIdAndUpdate(
-      id,
-      {
-        message: message.trim(),
-        tags: updatedTags
-      },
-      {
-        new: true,
-        populate: { path: 'user', select: 'username' }
-      }
-    )
+export const removeReaction = async (id, viewer) => {
+  const thought = await findReactableThought(id, viewer)
+  if (!reactionOf(thought, viewer)) return thought
 
-    return updated
-  } catch (error) {
-    console.error('Error updating thought:', error)
-    throw error
-  }
+  return setReaction(thought, viewer, null)
 }
 
-export const deleteThought = async (id, userId) => {
-  console.log('Service deleteThought called with:', { id, userId })
+/**
+ * Carries a client's anonymous likes and reactions over to the account it
+ * signed up for
+ */
+export const claimAnonymousReactions = async (clientId, userId) => {
+  return getStorage().transferAnonymousReactions(clientId, userId)
+}
 
-  const thought = await Thought.findById(id).populate('user', 'username')
+// Minutes after posting during which authors can edit (THOUGHT_EDIT_WINDOW_MINUTES,
+// unset or 0 means no limit)
+const EDIT_WINDOW_MINUTES = Math.max(
+  0,
+  parseInt(process.env.THOUGHT_EDIT_WINDOW_MINUTES, 10) || 0
+)
+const EDIT_WINDOW_MS = EDIT_WINDOW_MINUTES * 60 * 1000
 
-  console.log('Found thought:', {
-    id: thought?._id,
-    user: thought?.user,
-    userString: thought?.user?.toString(),
-    hasUser: !!thought?.user
-  })
+/**
+ * Edits the author's own thought. The replaced message and tags are kept as
+ * a revision; an edit that changes nothing isn't recorded.
+ */
+export const updateThought = async (id, updateData, userId) => {
+  const { message, tags, preserveTags } = updateData
+  const storage = getStorage()
+
+  const thought = await storage.findThoughtById(id)
 
   if (!thought) {
-    throw new NotFoundError('Thought not found')
+    throw new NotFoundError('Thought')
   }
 
-  const thoughtUserId =
-    thought.user?._id?.toString() || thought.user?.toString()
+  if (!thought.user) {
+    throw new AuthorizationError('Anonymous thoughts cannot be updated')
+  }
 
-  console.log('Authorization check:', {
-    thoughtUserId,
-    requestUserId: userId,
-    hasUser: !!thought.user,
-    userType: typeof thought.user,
-    areEqual: thoughtUserId === userId
-  })
+  if (thought.user._id !== userId) {
+    throw new AuthorizationError('You can only update your own thoughts')
+  }
+
+  if (EDIT_WINDOW_MS && Date.now() - thought.createdAt > EDIT_WINDOW_MS) {
+    throw new AuthorizationError(
+      `Thoughts can only be edited within ${EDIT_WINDOW_MINUTES} ${
+        EDIT_WINDOW_MINUTES === 1 ? 'minute' : 'minutes'
+      } of posting`,
+      'EDIT_WINDOW_CLOSED'
+    )
+  }
+
+  // Prepare update data
+  const updatedMessage = message.trim()
+  const updatedTags = preserveTags ? thought.tags : tags || []
+
+  if (
+    updatedMessage === thought.message &&
+    sameTags(updatedTags, thought.tags)
+  ) {
+    return thought
+  }
+
+  const updated = await storage.reviseThought(
+    id,
+    {
+      message: updatedMessage,
+      tags: updatedTags,
+      ...analyzeSentiment(updatedMessage),
+      editedAt: new Date()
+    },
+    {
+      message: thought.message,
+      tags: thought.tags,
+      writtenAt: thought.editedAt || thought.createdAt
+    }
+  )
+  publishThoughtEvent('thought.updated', updated)
+  return updated
+}
+
+/**
+ * Earlier versions of a thought, oldest first, for its author and moderators
+ */
+export const listThoughtRevisions = async (id, viewerId) => {
+  const storage = getStorage()
+  const thought = await storage.findThoughtById(id)
+
+  if (!thought) {
+    throw new NotFoundError('Thought')
+  }
+
+  if (thought.user?._id !== viewerId) {
+    const viewer = await storage.findUserById(viewerId)
+    if (!hasRole(viewer, 'moderator')) {
+      throw new AuthorizationError(
+        'Only the author and moderators can see earlier versions'
+      )
+    }
+  }
+
+  const revisions = await storage.listThoughtRevisions(id)
+  return { thought, revisions }
+}
+
+export const deleteThought = async (id, userId) => {
+  const storage = getStorage()
+  const thought = await storage.findThoughtById(id)
+
+  if (!thought) {
+    throw new NotFoundError('Thought')
+  }
 
   if (!thought.user) {
     // Truly anonymous thoughts (no user field at all)
     throw new AuthorizationError('Anonymous thoughts cannot be deleted')
   }
 
-  if (thoughtUserId !== userId) {
+  if (thought.user._id !== userId) {
     throw new AuthorizationError('You can only delete your own thoughts')
   }
 
-  return await Thought.findByIdAndDelete(id)
+  const deleted = await storage.deleteThought(id)
+  publishThoughtEvent('thought.deleted', thought)
+  return deleted
 }
 
-export const getTrendingThoughts = async () => {
-  return thoughtsModel.getTrendingThoughts()
+// Rankings are reused for a short while (TRENDING_CACHE_SECONDS, 0 turns
+// it off); the thoughts on a page are always loaded fresh
+const trendingCacheSeconds = parseInt(process.env.TRENDING_CACHE_SECONDS, 10)
+const TRENDING_CACHE_MS =
+  (Number.isNaN(trendingCacheSeconds) ? 60 : trendingCacheSeconds) * 1000
+const TRENDING_CACHE_SIZE = 100
+const trendingCache = new Map()
+
+const rankTrending = async ({ window, tag, skip, limit }) => {
+  const key = [window, tag, skip, limit].join(':')
+  const cached = trendingCache.get(key)
+  if (cached && cached.expiresAt > Date.now()) return cached.ranking
+
+  const now = new Date()
+  const span = TRENDING_WINDOWS[window]
+  const ranking = await getStorage().rankTrendingThoughts({
+    since: span ? new Date(now.getTime() - span) : null,
+    tag,
+    now,
+    skip,
+    limit
+  })
+
+  if (TRENDING_CACHE_MS > 0) {
+    if (trendingCache.size >= TRENDING_CACHE_SIZE) trendingCache.clear()
+    trendingCache.set(key, {
+      ranking,
+      expiresAt: Date.now() + TRENDING_CACHE_MS
+    })
+  }
+  return ranking
+}
+
+/**
+ * Thoughts ranked by hearts in the window (hour, day, week or all) over
+ * their age, optionally for one tag. Each gets windowHearts and trendingScore.
+ */
+export const getTrendingThoughts = async ({
+  window = 'all',
+  tag = null,
+  page = 1,
+  limit = 10
+} = {}) => {
+  const { ranked, total } = await rankTrending({
+    window,
+    tag,
+    skip: (page - 1) * limit,
+    limit
+  })
+
+  const thoughts = await getStorage().findThoughtsByIds(
+    ranked.map(({ _id }) => _id)
+  )
+  const byId = new Map(thoughts.map((thought) => [thought._id, thought]))
+
+  // A cached ranking can name thoughts hidden or deleted since
+  const results = ranked
+    .filter(({ _id }) => byId.has(_id) && !byId.get(_id).hidden)
+    .map(({ _id, windowHearts, trendingScore }) => ({
+      ...byId.get(_id),
+      windowHearts,
+      trendingScore: Number(trendingScore.toPrecision(4))
+    }))
+
+  return {
+    thoughts: await withCommentCounts(results),
+    total,
+    totalPages: Math.ceil(total / limit)
+  }
 }
 
 export const getThoughtsByTag = async (tag) => {
-  return thoughtsModel.getThoughtsByTag(tag)
+  return getStorage().findThoughtsByTag(tag.toLowerCase())
 }
 
-export const getAllTags = async () => {
-  return thoughtsModel.getAllTags()
+/**
+ * Renames a tag on every thought, merging it if the new name is in use
+ */
+export const renameTag = async (tag, newName) => {
+  const from = tag.toLowerCase()
+  const to = newName.trim().toLowerCase()
+
+  if (from === to) {
+    throw new ValidationError('New tag name must differ from the current one')
+  }
+
+  const updatedCount = await getStorage().renameTag(from, to)
+  if (!updatedCount) {
+    throw new NotFoundError('Tag')
+  }
+  return updatedCount
+}
+
+/**
+ * Removes a tag from every thought
+ */
+export const deleteTag = async (tag) => {
+  const updatedCount = await getStorage().removeTag(tag.toLowerCase())
+  if (!updatedCount) {
+    throw new NotFoundError('Tag')
+  }
+  return updatedCount
 }
 
-export const updateExistingThoughtsWithTags = async () => {
-  return thoughtsModel.updateExistingThoughtsWithTags()
+export const getLikedThoughts = async (userId) => {
+  return getStorage().findThoughtsLikedBy(userId)
+}
+
+const RETAG_BATCH_SIZE = 200
+
+// Changed thoughts listed in a dry run
+const RETAG_PREVIEW_LIMIT = 20
+
+const sameTags = (a = [], b = []) =>
+  a.length === b.length && a.every((tag) => b.includes(tag))
+
+// New generated tags; tags an author added or removed by hand stay that way
+const retaggedTags = (thought, themeTags) => {
+  const tags = thought.tags || []
+  // Before themeTags existed, every tag was generated
+  const generated = thought.themeTags?.length ? thought.themeTags : tags
+
+  const added = tags.filter((tag) => !generated.includes(tag))
+  const removed = generated.filter((tag) => !tags.includes(tag))
+
+  return [
+    ...new Set([...themeTags.filter((tag) => !removed.includes(tag)), ...added])
+  ]
+}
+
+// Walks a whole collection in batches and applies each batch's tag changes
+// (unless it's a dry run), keeping the first few visible changes as a preview
+const retagCollection = async ({ listBatch, changesFor, apply, dryRun }) => {
+  const result = { scanned: 0, updated: 0, preview: [] }
+  let afterId = null
+
+  for (;;) {
+    const batch = await listBatch({ afterId, limit: RETAG_BATCH_SIZE })
+    if (!batch.length) return result
+
+    const changes = batch.map(changesFor).filter(Boolean)
+    if (changes.length && !dryRun) await apply(changes)
+
+    result.scanned += batch.length
+    result.updated += changes.length
+    result.preview.push(
+      ...changes
+        .filter(({ from, tags }) => from && !sameTags(from, tags))
+        .slice(0, RETAG_PREVIEW_LIMIT - result.preview.length)
+    )
+    afterId = batch[batch.length - 1]._id
+  }
+}
+
+/**
+ * Re-tags every thought and comment with the current taxonomy. A dry run
+ * only counts (and previews) what would change.
+ */
+export const retagContent = async ({ dryRun = false } = {}) => {
+  const storage = getStorage()
+
+  const thoughts = await retagCollection({
+    dryRun,
+    listBatch: (options) => storage.listThoughtTagBatch(options),
+    changesFor: (thought) => {
+      const themeTags = identifyTags(thought.message)
+      const tags = retaggedTags(thought, themeTags)
+
+      if (
+        sameTags(tags, thought.tags) &&
+        sameTags(themeTags, thought.themeTags)
+      ) {
+        return null
+      }
+      return {
+        id: thought._id,
+        message: thought.message,
+        from: thought.tags || [],
+        tags,
+        themeTags
+      }
+    },
+    apply: (changes) => storage.setThoughtTags(changes)
+  })
+
+  const comments = await retagCollection({
+    dryRun,
+    listBatch: (options) => storage.listCommentTagBatch(options),
+    changesFor: (comment) => {
+      const tags = identifyTags(comment.message)
+      return sameTags(tags, comment.tags) ? null : { id: comment._id, tags }
+    },
+    apply: (changes) => storage.setCommentTags(changes)
+  })
+
+  return {
+    dryRun,
+    thoughts: { scanned: thoughts.scanned, updated: thoughts.updated },
+    comments: { scanned: comments.scanned, updated: comments.updated },
+    preview: thoughts.preview.map(({ id, message, from, tags }) => ({
+      _id: id,
+      message,
+      from,
+      to: tags
+    }))
+  }
+}
+
+/**
+ * Scores the sentiment of thoughts saved before it was tracked, returns
+ * how many were scored. Runs once at server start.
+ */
+export const scoreUnscoredThoughts = async () => {
+  const storage = getStorage()
+  let scored = 0
+  let afterId = null
+
+  for (;;) {
+    const batch = await storage.listUnscoredThoughts({
+      afterId,
+      limit: RETAG_BATCH_SIZE
+    })
+    if (!batch.length) return scored
+
+    await storage.setThoughtSentiments(
+      batch.map((thought) => ({
+        id: thought._id,
+        ...analyzeSentiment(thought.message)
+      }))
+    )
+    scored += batch.length
+    afterId = batch[batch.length - 1]._id
+  }
+}
+
+const emptyMoodBucket = (period) => ({
+  period,
+  positive: 0,
+  neutral: 0,
+  negative: 0,
+  total: 0,
+  sentimentSum: 0
+})
+
+// Storage rows are { period, mood, count, sentimentSum }
+const addMoodRow = (bucket, { mood, count, sentimentSum }) => {
+  bucket[mood] += count
+  bucket.total += count
+  bucket.sentimentSum += sentimentSum
+}
+
+const finishMoodBucket = ({ sentimentSum, ...bucket }) => ({
+  ...bucket,
+  averageSentiment: bucket.total
+    ? Math.round((sentimentSum / bucket.total) * 1000) / 1000
+    : null
+})
+
+/**
+ * Mood counts and average sentiment of visible thoughts per day, week or
+ * month. Every period in the range is listed, quiet ones with zeros.
+ */
+export const getMoodOverTime = async ({
+  interval = 'day',
+  since = null,
+  until = null,
+  ...filters
+} = {}) => {
+  const range = resolvePeriodRange({ interval, since, until })
+  const buckets = new Map(
+    listPeriods({ interval, ...range }).map((period) => [
+      period,
+      emptyMoodBucket(period)
+    ])
+  )
+
+  const totals = emptyMoodBucket(null)
+  const resolved = await resolveFilters({ ...filters, ...range })
+  const rows = resolved
+    ? await getStorage().summarizeMoods({ interval, filters: resolved })
+    : []
+
+  rows
+    .filter((row) => MOODS.includes(row.mood) && buckets.has(row.period))
+    .forEach((row) => {
+      addMoodRow(buckets.get(row.period), row)
+      addMoodRow(totals, row)
+    })
+
+  const { period, ...overall } = finishMoodBucket(totals)
+  return {
+    interval,
+    ...range,
+    periods: [...buckets.values()].map(finishMoodBucket),
+    totals: overall
+  }
 }
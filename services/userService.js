@@ -0,0 +1,198 @@
+/**
+ * User Service
+ * Purpose: Provides reusable service functions for users (registration, login, profiles).
+ * Usage: Called by the user controller; works with whichever storage adapter is active.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import bcrypt from 'bcrypt'
+
+import { getStorage } from '../storage/index.js'
+import {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errors.js'
+import { publish } from './eventsService.js'
+
+// Fields a user may change on their own account (email stays private)
+const PROFILE_FIELDS = ['bio', 'avatarUrl', 'email']
+
+const assertEmailAvailable = async (email, userId = null) => {
+  const owner = await getStorage().findUserByEmail(email)
+  if (owner && owner._id !== userId) {
+    throw new ConflictError('Email is already in use', {}, 'EMAIL_TAKEN')
+  }
+}
+
+const findUserByIdOrThrow = async (id) => {
+  const user = await getStorage().findUserById(id)
+  if (!user) {
+    throw new NotFoundError('User')
+  }
+  return user
+}
+
+const findUserOrThrow = async (username) => {
+  const user = await getStorage().findUserByUsername(username)
+  if (!user) {
+    throw new NotFoundError('User')
+  }
+  return user
+}
+
+export const registerUser = async ({ username, password, email }) => {
+  const storage = getStorage()
+
+  // Check if username already exists
+  const existingUser = await storage.findUserByUsername(username)
+  if (existingUser) {
+    throw new ConflictError('Username already exists', {}, 'USERNAME_TAKEN')
+  }
+
+  if (email) {
+    await assertEmailAvailable(email)
+  }
+
+  const user = await storage.createUser({ username, password, email })
+  publish('user.registered', {
+    _id: user._id,
+    username: user.username,
+    createdAt: user.createdAt
+  })
+  return user
+}
+
+/**
+ * Returns the user when the credentials match, otherwise null
+ */
+export const verifyCredentials = async (username, password) => {
+  const user = await getStorage().findUserByUsername(username, {
+    includePassword: true
+  })
+
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    return null
+  }
+
+  if (user.bannedAt) {
+    throw new AuthorizationError(
+      'This account has been banned',
+      'ACCOUNT_BANNED'
+    )
+  }
+
+  const { password: _hash, ...safeUser } = user
+  return safeUser
+}
+
+export const getUserById = async (id) => {
+  return getStorage().findUserById(id)
+}
+
+/**
+ * Public profile with activity stats (anonymous thoughts are never counted)
+ */
+export const getPublicProfile = async (username) => {
+  const storage = getStorage()
+  const user = await findUserOrThrow(username)
+  const [stats, followerCount, followingCount] = await Promise.all([
+    storage.getUserStats(user._id),
+    storage.countFollowers(user._id),
+    storage.countFollowing(user._id)
+  ])
+
+  return {
+    id: user._id,
+    username: user.username,
+    bio: user.bio,
+    avatarUrl: user.avatarUrl,
+    joinedAt: user.createdAt,
+    stats: { ...stats, followerCount, followingCount }
+  }
+}
+
+/**
+ * Non-anonymous thoughts by a user. Authors also see their hidden thoughts.
+ */
+export const getUserThoughts = async (
+  username,
+  page = 1,
+  limit = 10,
+  viewerId = null
+) => {
+  const storage = getStorage()
+  const user = await findUserOrThrow(username)
+  const skip = (page - 1) * limit
+  const includeHidden = user._id === viewerId
+
+  const [thoughts, totalThoughts] = await Promise.all([
+    storage.listThoughtsByUser(user._id, { skip, limit, includeHidden }),
+    storage.countThoughtsByUser(user._id, { includeHidden })
+  ])
+
+  return { thoughts, totalPages: Math.ceil(totalThoughts / limit) }
+}
+
+export const updateProfile = async (userId, changes) => {
+  // Only profile fields can be changed here
+  const updates = Object.fromEntries(
+    Object.entries(changes).filter(([key]) => PROFILE_FIELDS.includes(key))
+  )
+
+  if (updates.email) {
+    await assertEmailAvailable(updates.email, userId)
+  }
+
+  const user = await getStorage().updateUser(userId, updates)
+  if (!user) {
+    throw new NotFoundError('User')
+  }
+  return user
+}
+
+export const followUser = async (followerId, followingId) => {
+  if (followerId === followingId) {
+    throw new ValidationError('You cannot follow yourself')
+  }
+
+  const user = await findUserByIdOrThrow(followingId)
+  await getStorage().follow(followerId, user._id)
+  return user
+}
+
+export const unfollowUser = async (followerId, followingId) => {
+  const user = await findUserByIdOrThrow(followingId)
+  await getStorage().unfollow(followerId, user._id)
+  return user
+}
+
+/**
+ * Followers or followed accounts of a user, newest follow first
+ * @param {'followers'|'following'} direction
+ */
+export const getFollowList = async (
+  userId,
+  direction,
+  page = 1,
+  limit = 20
+) => {
+  const storage = getStorage()
+  const user = await findUserByIdOrThrow(userId)
+  const skip = (page - 1) * limit
+
+  const [entries, total] =
+    direction === 'followers'
+      ? await Promise.all([
+          storage.listFollowers(user._id, { skip, limit }),
+          storage.countFollowers(user._id)
+        ])
+      : await Promise.all([
+          storage.listFollowing(user._id, { skip, limit }),
+          storage.countFollowing(user._id)
+        ])
+
+  return { entries, totalPages: Math.ceil(total / limit) }
+}
@@ -0,0 +1,301 @@
+/**
+ * Webhook Service
+ * Purpose: Manages webhooks and delivers events to them (signed, retried with backoff, logged).
+ * Usage: Called by the webhooks controller; startWebhookDispatcher() runs once at server start.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+
+import { WEBHOOK_EVENTS } from '../models/Webhook.js'
+import { getStorage } from '../storage/index.js'
+import { NotFoundError } from '../utils/errors.js'
+import { logger } from '../utils/logger.js'
+import { signWebhook } from '../utils/webhookSignature.js'
+import { subscribe } from './eventsService.js'
+
+// Wait before each retry; a delivery gets one attempt more than there are delays
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60]
+
+const REQUEST_TIMEOUT_MS =
+  (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000
+
+// How often pending retries (including ones from before a restart) are picked up
+const RETRY_POLL_MS = 15 * 1000
+
+// Deliveries being sent right now, so the retry poll never doubles one up
+const inFlight = new Set()
+
+const findWebhookOrThrow = async (id) => {
+  const webhook = await getStorage().findWebhookById(id)
+  if (!webhook) {
+    throw new NotFoundError('Webhook')
+  }
+  return webhook
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`
+
+// What to store after an attempt: done, retry later, or give up
+const outcomeOf = (delivery, succeeded) => {
+  if (succeeded) {
+    return { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null }
+  }
+
+  // attempts doesn't include the one that just failed yet
+  const delay = RETRY_DELAYS_SECONDS[delivery.attempts.length]
+  return delay === undefined
+    ? { status: 'failed', nextAttemptAt: null }
+    : { nextAttemptAt: new Date(Date.now() + delay * 1000) }
+}
+
+/**
+ * Sends a delivery once and records the attempt. Anything but a 2xx
+ * response counts as a failure.
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  if (inFlight.has(delivery._id)) return delivery
+  inFlight.add(delivery._id)
+
+  try {
+    const body = JSON.stringify(delivery.payload)
+    const startedAt = new Date()
+    let responseStatus = null
+    let error = null
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HappyThoughts-Webhooks/1.0',
+          'X-Webhook-Id': delivery._id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': signWebhook(webhook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+      responseStatus = response.status
+      await response.body?.cancel()
+
+      if (!response.ok) error = `Responded with ${response.status}`
+    } catch (err) {
+      error =
+        err.name === 'TimeoutError'
+          ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+          : err.cause?.code || err.message
+    }
+
+    const attempt = {
+      at: startedAt,
+      responseStatus,
+      error,
+      durationMs: Date.now() - startedAt.getTime()
+    }
+    return getStorage().recordDeliveryAttempt(
+      delivery._id,
+      attempt,
+      outcomeOf(delivery, !error)
+    )
+  } finally {
+    inFlight.delete(delivery._id)
+  }
+}
+
+// Logs and sends a delivery right away; the first retry is already scheduled
+// in case the process stops before the attempt is recorded
+const deliver = async (
+  webhook,
+  { event, eventId, payload, replayOf = null }
+) => {
+  const delivery = await getStorage().createDelivery({
+    webhook: webhook._id,
+    event,
+    eventId,
+    payload,
+    replayOf,
+    nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_SECONDS[0] * 1000)
+  })
+  return attemptDelivery(delivery, webhook)
+}
+
+const dispatchEvent = async (event) => {
+  const webhooks = await getStorage().listWebhooksForEvent(event.type)
+  const payload = {
+    id: event.id,
+    event: event.type,
+    createdAt: event.createdAt,
+    data: event.data
+  }
+
+  await Promise.all(
+    webhooks.map((webhook) =>
+      deliver(webhook, { event: event.type, eventId: event.id, payload })
+    )
+  )
+}
+
+const retryDueDeliveries = async () => {
+  const storage = getStorage()
+  if (!storage.isReady()) return
+
+  for (const delivery of await storage.listDueDeliveries(new Date())) {
+    const webhook = await storage.findWebhookById(delivery.webhook)
+
+    if (!webhook?.active) {
+      await storage.recordDeliveryAttempt(
+        delivery._id,
+        {
+          at: new Date(),
+          responseStatus: null,
+          error: 'Webhook was paused',
+          durationMs: 0
+        },
+        { status: 'failed', nextAttemptAt: null }
+      )
+      continue
+    }
+
+    await attemptDelivery(delivery, webhook)
+  }
+}
+
+let dispatcher = null
+
+// Deliveries in progress, so a shutdown can let them finish
+const pendingWork = new Set()
+
+const track = (promise) => {
+  const forget = () => pendingWork.delete(promise)
+  pendingWork.add(promise)
+  promise.then(forget, forget)
+  return promise
+}
+
+/**
+ * Starts sending published events to the webhooks subscribed to them, and
+ * retrying failed deliveries
+ */
+export const startWebhookDispatcher = () => {
+  if (dispatcher) return
+
+  // Delivered under their webhook name: a hide is thought.deleted on the
+  // stream but thought.hidden here
+  const unsubscribe = subscribe((event) => {
+    const type = event.webhookEvent
+    if (!WEBHOOK_EVENTS.includes(type)) return
+    track(dispatchEvent({ ...event, type })).catch((error) =>
+      logger.error(`Webhook dispatch failed for ${type}`, { error })
+    )
+  })
+
+  const poll = setInterval(() => {
+    track(retryDueDeliveries()).catch((error) =>
+      logger.error('Webhook retries failed', { error })
+    )
+  }, RETRY_POLL_MS)
+  poll.unref()
+
+  dispatcher = { unsubscribe, poll }
+}
+
+export const isWebhookDispatcherRunning = () => Boolean(dispatcher)
+
+/**
+ * Stops taking new events and waits for deliveries in progress. Pending
+ * retries stay stored and are picked up after the restart.
+ */
+export const stopWebhookDispatcher = async () => {
+  if (!dispatcher) return
+
+  dispatcher.unsubscribe()
+  clearInterval(dispatcher.poll)
+  dispatcher = null
+  await Promise.allSettled([...pendingWork])
+}
+
+export const listWebhooks = async () => {
+  return getStorage().listWebhooks()
+}
+
+export const getWebhook = async (id) => {
+  return findWebhookOrThrow(id)
+}
+
+/**
+ * Registers a webhook. The returned secret is what receivers verify the
+ * signature with. Fields are checked by validate(webhookSchemas.createWebhook).
+ */
+export const createWebhook = async (
+  { url, events, description },
+  { adminId }
+) => {
+  return getStorage().createWebhook({
+    url,
+    events: [...new Set(events)],
+    description: description || null,
+    secret: newSecret(),
+    createdBy: adminId
+  })
+}
+
+/**
+ * Changes url, events, description or active; rotateSecret issues a new secret
+ */
+export const updateWebhook = async (id, changes) => {
+  await findWebhookOrThrow(id)
+
+  const update = {}
+  if (changes.url !== undefined) update.url = changes.url
+  if (changes.events !== undefined) update.events = [...new Set(changes.events)]
+  if (changes.description !== undefined) {
+    update.description = changes.description || null
+  }
+  if (changes.active !== undefined) update.active = changes.active
+  if (changes.rotateSecret === true) update.secret = newSecret()
+
+  return getStorage().updateWebhook(id, update)
+}
+
+export const deleteWebhook = async (id) => {
+  await findWebhookOrThrow(id)
+  return getStorage().deleteWebhook(id)
+}
+
+/**
+ * The delivery log of a webhook, newest first
+ */
+export const getDeliveries = async (id, page = 1, limit = 20) => {
+  const storage = getStorage()
+  await findWebhookOrThrow(id)
+
+  const [deliveries, total] = await Promise.all([
+    storage.listDeliveries(id, { skip: (page - 1) * limit, limit }),
+    storage.countDeliveries(id)
+  ])
+
+  return { deliveries, total, totalPages: Math.ceil(total / limit) }
+}
+
+/**
+ * Sends a logged delivery again, as a new delivery with the same payload.
+ * Resolves once the first attempt is made.
+ */
+export const replayDelivery = async (id, deliveryId) => {
+  const webhook = await findWebhookOrThrow(id)
+
+  const original = await getStorage().findDeliveryById(deliveryId)
+  if (!original || original.webhook !== webhook._id) {
+    throw new NotFoundError('Delivery')
+  }
+
+  return deliver(webhook, {
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    replayOf: original._id
+  })
+}
@@ -0,0 +1,1459 @@
+/**
+ * File Storage Adapter
+ * Purpose: Implements the storage interface on top of JSON files, so the API works without MongoDB.
+ * Usage: Selected by storage/index.js when MongoDB is unavailable in development or STORAGE_MODE=file.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import bcrypt from 'bcrypt'
+import fs from 'fs'
+import mongoose from 'mongoose'
+import path from 'path'
+
+import { logger } from '../utils/logger.js'
+import { HEART } from '../utils/reactions.js'
+import { periodOf } from '../utils/periods.js'
+import { queryTerms, scoreThought } from '../utils/search.js'
+import { DEFAULT_TAXONOMY, identifyTags } from '../utils/tagging.js'
+import { HEART_LOG_DAYS, trendingScore } from '../utils/trending.js'
+
+const DATA_DIR = process.env.DATA_DIR || './data'
+// Sample thoughts used the first time file storage starts
+const SEED_FILE = './data.json'
+
+// Use ObjectId-style ids so both backends hand out the same id format
+const newId = () => new mongoose.Types.ObjectId().toString()
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+const byOldest = (a, b) => byNewest(b, a)
+
+// Same orders as the Mongo adapter; _id breaks ties so cursors are stable
+const THOUGHT_SORTS = {
+  newest: (a, b) => byNewest(a, b) || b._id.localeCompare(a._id),
+  oldest: (a, b) => byOldest(a, b) || a._id.localeCompare(b._id),
+  hearts: (a, b) =>
+    (b.hearts || 0) - (a.hearts || 0) || THOUGHT_SORTS.newest(a, b)
+}
+
+// Same tag list orders as the Mongo adapter
+const TAG_SORTS = {
+  popular: (a, b) =>
+    b.thoughtCount - a.thoughtCount ||
+    b.hearts - a.hearts ||
+    a.tag.localeCompare(b.tag),
+  hearts: (a, b) =>
+    b.hearts - a.hearts ||
+    b.thoughtCount - a.thoughtCount ||
+    a.tag.localeCompare(b.tag),
+  recent: (a, b) =>
+    byNewest({ createdAt: a.lastUsedAt }, { createdAt: b.lastUsedAt }) ||
+    a.tag.localeCompare(b.tag),
+  name: (a, b) => a.tag.localeCompare(b.tag)
+}
+
+// In-memory version of the Mongo adapter's thought filters, as a predicate
+const thoughtFilter = ({
+  tag,
+  mood,
+  authorIds,
+  since,
+  until,
+  hasLikes,
+  minHearts,
+  visibility = 'public',
+  reported
+} = {}) => {
+  const authors = authorIds ? new Set(authorIds.map(String)) : null
+
+  return (thought) => {
+    const createdAt = new Date(thought.createdAt)
+    const hearts = thought.hearts || 0
+
+    return (
+      (visibility === 'all' || thought.hidden === (visibility === 'hidden')) &&
+      (!reported || thought.reportCount > 0) &&
+      (!tag || thought.tags.includes(tag)) &&
+      (!mood || thought.mood === mood) &&
+      (!authors || (authors.has(thought.user) && !thought.isAnonymous)) &&
+      (!since || createdAt >= since) &&
+      (!until || createdAt <= until) &&
+      (typeof hasLikes !== 'boolean' || hearts > 0 === hasLikes) &&
+      (!minHearts || hearts >= minHearts)
+    )
+  }
+}
+
+// Fill in the fields the Mongoose schema would default
+const normalizeThought = (thought) => ({
+  ...thought,
+  _id: String(thought._id),
+  // Seed thoughts have no tags yet; an emptied tag list stays empty
+  tags: thought.tags ?? identifyTags(thought.message),
+  themeTags: thought.themeTags || [],
+  hearts: thought.hearts || 0,
+  likes: thought.likes || [],
+  anonymousLikes: thought.anonymousLikes || [],
+  reactions: thought.reactions || [],
+  // Hearts from before likes were tracked per client (e.g. the seed data)
+  anonymousHearts:
+    thought.anonymousHearts ??
+    Math.max(
+      0,
+      (thought.hearts || 0) -
+        (thought.likes?.length || 0) -
+        (thought.anonymousLikes?.length || 0)
+    ),
+  user: thought.user || null,
+  isAnonymous: thought.isAnonymous ?? !thought.user,
+  reportCount: thought.reportCount || 0,
+  hidden: Boolean(thought.hidden),
+  hiddenReason: thought.hiddenReason || null,
+  hiddenAt: thought.hiddenAt || null,
+  hiddenBy: thought.hiddenBy || null,
+  editedAt: thought.editedAt || null,
+  revisionCount: thought.revisionCount || 0,
+  createdAt: thought.createdAt || new Date().toISOString(),
+  __v: thought.__v || 0
+})
+
+export class FileStorage {
+  constructor(dataDir = DATA_DIR) {
+    this.mode = 'file'
+    this.dataDir = dataDir
+    this.thoughts = this.loadCollection('thoughts', SEED_FILE)
+      .filter((thought) => thought?._id && thought.message)
+      .map(normalizeThought)
+    this.users = this.loadCollection('users')
+    this.comments = this.loadCollection('comments')
+    this.follows = this.loadCollection('follows')
+    this.sessions = this.loadCollection('sessions')
+    this.passwordResets = this.loadCollection('passwordResets')
+    this.reports = this.loadCollection('reports')
+    this.hearts = this.loadCollection('hearts')
+    this.thoughtRevisions = this.loadCollection('thoughtRevisions')
+    this.tagCategories = this.loadCollection('tagCategories')
+    if (!this.tagCategories.length) {
+      this.tagCategories = DEFAULT_TAXONOMY.map((category) =>
+        this.newTagCategory(category)
+      )
+      // Saved right away so the default categories keep their ids on restart
+      this.saveCollection('tagCategories')
+    }
+    this.webhooks = this.loadCollection('webhooks')
+    this.webhookDeliveries = this.loadCollection('webhookDeliveries')
+  }
+
+  isReady() {
+    return true
+  }
+
+  // Data lives in memory; the data directory must stay writable to keep it
+  async checkHealth() {
+    try {
+      await fs.promises.access(this.dataDir, fs.constants.W_OK)
+    } catch (error) {
+      // Created with the first save
+      if (error.code !== 'ENOENT') {
+        return { status: 'down', error: `${this.dataDir} is not writable` }
+      }
+    }
+    return { status: 'up', dataDir: this.dataDir }
+  }
+
+  // Every change is written right away, so there is nothing to flush
+  async close() {}
+
+  loadCollection(name, seedFile = null) {
+    const filePath = path.join(this.dataDir, `${name}.json`)
+    const source = fs.existsSync(filePath) ? filePath : seedFile
+
+    if (!source || !fs.existsSync(source)) return []
+
+    try {
+      const data = JSON.parse(fs.readFileSync(source, 'utf8'))
+      if (!Array.isArray(data)) {
+        logger.error(`${source} does not contain an array`)
+        return []
+      }
+      return data
+    } catch (error) {
+      logger.error(`Error loading ${name} data`, { error })
+      return []
+    }
+  }
+
+  saveCollection(name) {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true })
+      fs.writeFileSync(
+        path.join(this.dataDir, `${name}.json`),
+        JSON.stringify(this[name], null, 2)
+      )
+    } catch (error) {
+      logger.error(`Error saving ${name} data`, { error })
+    }
+  }
+
+  // Return a copy shaped like a populated, lean Mongo document
+  toPlainThought(thought) {
+    if (!thought) return null
+
+    const author = thought.user
+      ? this.users.find((user) => user._id === thought.user)
+      : null
+
+    return {
+      ...structuredClone(thought),
+      createdAt: new Date(thought.createdAt),
+      hiddenAt: thought.hiddenAt ? new Date(thought.hiddenAt) : null,
+      editedAt: thought.editedAt ? new Date(thought.editedAt) : null,
+      user: author ? { _id: author._id, username: author.username } : null
+    }
+  }
+
+  toPlainComment(comment) {
+    if (!comment) return null
+
+    const author = comment.user
+      ? this.users.find((user) => user._id === comment.user)
+      : null
+
+    return {
+      ...structuredClone(comment),
+      createdAt: new Date(comment.createdAt),
+      updatedAt: new Date(comment.updatedAt),
+      user: author ? { _id: author._id, username: author.username } : null
+    }
+  }
+
+  toPlainSession(session) {
+    if (!session) return null
+
+    return {
+      ...session,
+      expiresAt: new Date(session.expiresAt),
+      revokedAt: session.revokedAt ? new Date(session.revokedAt) : null,
+      lastUsedAt: new Date(session.lastUsedAt),
+      createdAt: new Date(session.createdAt)
+    }
+  }
+
+  toPlainUser(user, includePassword = false) {
+    if (!user) return null
+
+    const { password, ...rest } = user
+    return {
+      ...rest,
+      bio: user.bio || '',
+      avatarUrl: user.avatarUrl || null,
+      role: user.role || 'user',
+      bannedAt: user.bannedAt ? new Date(user.bannedAt) : null,
+      createdAt: new Date(user.createdAt),
+      ...(includePassword ? { password } : {})
+    }
+  }
+
+  // Thoughts
+
+  async listThoughts({
+    skip = 0,
+    limit = 10,
+    sort = 'newest',
+    filters = {},
+    after = null
+  } = {}) {
+    const compare = THOUGHT_SORTS[sort]
+    // A thought shaped like the cursor, to compare against
+    const cursorThought = after && {
+      _id: after.id,
+      createdAt: after.createdAt,
+      hearts: after.hearts
+    }
+
+    return this.thoughts
+      .filter(thoughtFilter(filters))
+      .filter((thought) => !after || compare(thought, cursorThought) > 0)
+      .sort(compare)
+      .slice(skip, skip + limit)
+      .map((thought) => this.toPlainThought(thought))
+  }
+
+  async countThoughts(filters = {}) {
+    return this.thoughts.filter(thoughtFilter(filters)).length
+  }
+
+  async findThoughtById(id) {
+    const thought = this.thoughts.find((t) => t._id === String(id))
+    return this.toPlainThought(thought)
+  }
+
+  async createThought(data) {
+    const thought = normalizeThought({
+      ...data,
+      _id: newId(),
+      message: data.message.trim(),
+      createdAt: new Date().toISOString()
+    })
+
+    this.thoughts.push(thought)
+    this.saveCollection('thoughts')
+    return this.toPlainThought(thought)
+  }
+
+  async updateThought(id, changes) {
+    const thought = this.thoughts.find((t) => t._id === String(id))
+    if (!thought) return null
+
+    Object.assign(thought, changes)
+    this.saveCollection('thoughts')
+    return this.toPlainThought(thought)
+  }
+
+  async deleteThought(id) {
+    const index = this.thoughts.findIndex((t) => t._id === String(id))
+    if (index === -1) return null
+
+    const [deleted] = this.thoughts.splice(index, 1)
+    this.saveCollection('thoughts')
+
+    this.comments = this.comments.filter((c) => c.thought !== deleted._id)
+    this.saveCollection('comments')
+
+    this.reports = this.reports.filter((r) => r.thought !== deleted._id)
+    this.saveCollection('reports')
+
+    this.hearts = this.hearts.filter((h) => h.thought !== deleted._id)
+    this.saveCollection('hearts')
+
+    this.thoughtRevisions = this.thoughtRevisions.filter(
+      (r) => r.thought !== deleted._id
+    )
+    this.saveCollection('thoughtRevisions')
+
+    return this.toPlainThought(deleted)
+  }
+
+  // Applies an author's edit and keeps the replaced version ({ message,
+  // tags, writtenAt }) as the next revision
+  async reviseThought(id, changes, revision) {
+    const thought = this.thoughts.find((t) => t._id === String(id))
+    if (!thought) return null
+
+    Object.assign(thought, changes, {
+      revisionCount: thought.revisionCount + 1
+    })
+    this.thoughtRevisions.push({
+      _id: newId(),
+      thought: thought._id,
+      version: thought.revisionCount,
+      message: revision.message,
+      tags: [...revision.tags],
+      writtenAt: new Date(revision.writtenAt).toISOString(),
+      replacedAt: new Date(thought.editedAt).toISOString()
+    })
+    this.saveCollection('thoughts')
+    this.saveCollection('thoughtRevisions')
+    return this.toPlainThought(thought)
+  }
+
+  // Oldest first
+  async listThoughtRevisions(thoughtId) {
+    return this.thoughtRevisions
+      .filter((revision) => revision.thought === String(thoughtId))
+      .sort((a, b) => a.version - b.version)
+      .map((revision) => ({
+        ...structuredClone(revision),
+        writtenAt: new Date(revision.writtenAt),
+        replacedAt: new Date(revision.replacedAt)
+      }))
+  }
+
+  // Replaces the reaction of a user or anonymous client (null removes it).
+  // Hearts go into likes / anonymousLikes, the rest into reactions.
+  async setReaction(id, { userId = null, clientId = null }, emoji) {
+    const thought = this.thoughts.find((t) => t._id === String(id))
+    if (!thought) return null
+
+    const field = userId ? 'likes' : 'anonymousLikes'
+    const reactor = userId ? String(userId) : clientId
+
+    const hearted = thought[field].includes(reactor)
+    thought[field] = thought[field].filter((entry) => entry !== reactor)
+    thought.reactions = thought.reactions.filter((reaction) =>
+      userId ? reaction.user !== reactor : reaction.client !== reactor
+    )
+
+    if (emoji === HEART) {
+      thought[field].push(reactor)
+    } else if (emoji) {
+      thought.reactions.push({
+        emoji,
+        user: userId ? reactor : null,
+        client: userId ? null : reactor
+      })
+    }
+
+    // Keep the heart count in step with the likes arrays
+    thought.hearts =
+      thought.likes.length +
+      thought.anonymousLikes.length +
+      thought.anonymousHearts
+    this.saveCollection('thoughts')
+
+    // Log when the heart was given (or forget it), for trending
+    if (emoji === HEART && !hearted) {
+      this.logHeart(
+        thought._id,
+        userId ? { user: reactor } : { client: reactor }
+      )
+    } else if (emoji !== HEART && hearted) {
+      this.hearts = this.hearts.filter(
+        (heart) =>
+          heart.thought !== thought._id ||
+          (userId ? heart.user !== reactor : heart.client !== reactor)
+      )
+      this.saveCollection('hearts')
+    }
+
+    return this.toPlainThought(thought)
+  }
+
+  // Same as the Mongo TTL index: hearts older than the log are dropped
+  logHeart(thoughtId, { user = null, client = null }) {
+    const cutoff = Date.now() - HEART_LOG_DAYS * 24 * 60 * 60 * 1000
+
+    this.hearts = this.hearts.filter(
+      (heart) => new Date(heart.createdAt).getTime() >= cutoff
+    )
+    this.hearts.push({
+      _id: newId(),
+      thought: thoughtId,
+      user,
+      client,
+      createdAt: new Date().toISOString()
+    })
+    this.saveCollection('hearts')
+  }
+
+  // Moves a client's anonymous likes and reactions to the account it just created
+  async transferAnonymousReactions(clientId, userId) {
+    const owner = String(userId)
+    let changed = 0
+
+    for (const thought of this.thoughts) {
+      const liked = thought.anonymousLikes.includes(clientId)
+      const reaction = thought.reactions.find((r) => r.client === clientId)
+      if (!liked && !reaction) continue
+
+      if (liked) {
+        thought.anonymousLikes = thought.anonymousLikes.filter(
+          (id) => id !== clientId
+        )
+        if (!thought.likes.includes(owner)) thought.likes.push(owner)
+      }
+      if (reaction) {
+        Object.assign(reaction, { user: owner, client: null })
+      }
+      changed += 1
+    }
+
+    const claimed = this.hearts.filter((heart) => heart.client === clientId)
+    claimed.forEach((heart) =>
+      Object.assign(heart, { user: owner, client: null })
+    )
+    if (claimed.length) this.saveCollection('hearts')
+
+    if (changed) this.saveCollection('thoughts')
+    return changed
+  }
+
+  // Ranks visible thoughts by trending score: hearts since `since` (every
+  // heart when null) over the thought's age. Returns ids and scores only.
+  async rankTrendingThoughts({
+    since = null,
+    tag = null,
+    now = new Date(),
+    skip = 0,
+    limit = 10
+  } = {}) {
+    const windowHearts = new Map()
+    if (since) {
+      for (const heart of this.hearts) {
+        if (new Date(heart.createdAt) < since) continue
+        windowHearts.set(
+          heart.thought,
+          (windowHearts.get(heart.thought) || 0) + 1
+        )
+      }
+    }
+
+    const ranked = this.thoughts
+      .filter(
+        (thought) => !thought.hidden && (!tag || thought.tags.includes(tag))
+      )
+      .map((thought) => {
+        const hearts = since
+          ? windowHearts.get(thought._id) || 0
+          : thought.hearts || 0
+        return {
+          _id: thought._id,
+          createdAt: thought.createdAt,
+          windowHearts: hearts,
+          trendingScore: trendingScore(hearts, thought.createdAt, now)
+        }
+      })
+      .filter((row) => row.windowHearts > 0)
+      .sort(
+        (a, b) =>
+          b.trendingScore - a.trendingScore || THOUGHT_SORTS.newest(a, b)
+      )
+
+    return {
+      ranked: ranked
+        .slice(skip, skip + limit)
+        .map(({ createdAt, ...row }) => row),
+      total: ranked.length
+    }
+  }
+
+  async findThoughtsByIds(ids) {
+    const wanted = new Set(ids.map(String))
+    return this.thoughts
+      .filter((thought) => wanted.has(thought._id))
+      .map((thought) => this.toPlainThought(thought))
+  }
+
+  async findThoughtsByTag(tag) {
+    return this.thoughts
+      .filter((thought) => !thought.hidden && thought.tags.includes(tag))
+      .sort(byNewest)
+      .map((thought) => this.toPlainThought(thought))
+  }
+
+  // Every tag on a visible thought with its thought count and hearts
+  async listTagStats({ sort = 'popular' } = {}) {
+    const stats = new Map()
+
+    for (const thought of this.thoughts.filter(thoughtFilter())) {
+      for (const tag of new Set(thought.tags)) {
+        if (!tag) continue
+
+        const row = stats.get(tag) || {
+          tag,
+          thoughtCount: 0,
+          hearts: 0,
+          lastUsedAt: null
+        }
+        row.thoughtCount += 1
+        row.hearts += thought.hearts || 0
+        if (
+          !row.lastUsedAt ||
+          new Date(thought.createdAt) > new Date(row.lastUsedAt)
+        ) {
+          row.lastUsedAt = thought.createdAt
+        }
+        stats.set(tag, row)
+      }
+    }
+
+    return [...stats.values()].sort(TAG_SORTS[sort])
+  }
+
+  async getTagSummary(tag) {
+    const tagged = this.thoughts.filter(thoughtFilter({ tag })).sort(byOldest)
+
+    return {
+      thoughtCount: tagged.length,
+      hearts: tagged.reduce((sum, thought) => sum + (thought.hearts || 0), 0),
+      firstUsedAt: tagged[0]?.createdAt || null,
+      lastUsedAt: tagged.at(-1)?.createdAt || null
+    }
+  }
+
+  // Thoughts with the tag (and their hearts) per period, oldest first
+  async summarizeTagActivity(tag, { interval = 'day', since, until } = {}) {
+    const rows = new Map()
+
+    for (const thought of this.thoughts.filter(
+      thoughtFilter({ tag, since, until })
+    )) {
+      const period = periodOf(thought.createdAt, interval)
+      const row = rows.get(period) || { period, thoughtCount: 0, hearts: 0 }
+      row.thoughtCount += 1
+      row.hearts += thought.hearts || 0
+      rows.set(period, row)
+    }
+
+    return [...rows.values()].sort((a, b) => a.period.localeCompare(b.period))
+  }
+
+  // Tags most often seen on the same thoughts as this one
+  async listRelatedTags(tag, { limit = 10 } = {}) {
+    const counts = new Map()
+
+    for (const thought of this.thoughts.filter(thoughtFilter({ tag }))) {
+      for (const other of new Set(thought.tags)) {
+        if (other && other !== tag) {
+          counts.set(other, (counts.get(other) || 0) + 1)
+        }
+      }
+    }
+
+    return [...counts]
+      .map(([other, count]) => ({ tag: other, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+      .slice(0, limit)
+  }
+
+  // Merges a tag into another one, returns how many thoughts changed
+  async renameTag(from, to) {
+    const tagged = this.thoughts.filter((thought) =>
+      thought.tags.includes(from)
+    )
+
+    for (const thought of tagged) {
+      thought.tags = [
+        ...new Set(thought.tags.map((t) => (t === from ? to : t)))
+      ]
+      thought.themeTags = [
+        ...new Set(thought.themeTags.map((t) => (t === from ? to : t)))
+      ]
+    }
+
+    if (tagged.length) this.saveCollection('thoughts')
+    return tagged.length
+  }
+
+  async removeTag(tag) {
+    const tagged = this.thoughts.filter((thought) => thought.tags.includes(tag))
+
+    for (const thought of tagged) {
+      thought.tags = thought.tags.filter((t) => t !== tag)
+      thought.themeTags = thought.themeTags.filter((t) => t !== tag)
+    }
+
+    if (tagged.length) this.saveCollection('thoughts')
+    return tagged.length
+  }
+
+  async findThoughtsLikedBy(userId) {
+    return this.thoughts
+      .filter((thought) => !thought.hidden && thought.likes.includes(userId))
+      .sort(byNewest)
+      .map((thought) => this.toPlainThought(thought))
+  }
+
+  // Public (non-anonymous, not hidden) thoughts written by a user
+  userThoughts(userId, { includeHidden = false } = {}) {
+    return this.thoughts.filter(
+      (thought) =>
+        thought.user === String(userId) &&
+        !thought.isAnonymous &&
+        (includeHidden || !thought.hidden)
+    )
+  }
+
+  // includeHidden lets authors see their own hidden thoughts
+  async listThoughtsByUser(
+    userId,
+    { skip = 0, limit = 10, includeHidden = false } = {}
+  ) {
+    return this.userThoughts(userId, { includeHidden })
+      .sort(byNewest)
+      .slice(skip, skip + limit)
+      .map((thought) => this.toPlainThought(thought))
+  }
+
+  async countThoughtsByUser(userId, { includeHidden = false } = {}) {
+    return this.userThoughts(userId, { includeHidden }).length
+  }
+
+  async getUserStats(userId, { topTagLimit = 5 } = {}) {
+    const thoughts = this.userThoughts(userId)
+
+    const tagCounts = {}
+    for (const tag of thoughts.flatMap((thought) => thought.tags)) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1
+    }
+
+    const topTags = Object.entries(tagCounts)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+      .slice(0, topTagLimit)
+
+    return {
+      thoughtCount: thoughts.length,
+      heartsReceived: thoughts.reduce((sum, t) => sum + (t.hearts || 0), 0),
+      topTags
+    }
+  }
+
+  // In-memory equivalent of the Mongo text index search
+  async searchThoughts(query, filters = {}, { skip = 0, limit = 10 } = {}) {
+    const terms = queryTerms(query)
+
+    const matches = this.thoughts
+      .filter(thoughtFilter(filters))
+      .map((thought) => ({ thought, score: scoreThought(thought, terms) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || byNewest(a.thought, b.thought))
+
+    return {
+      thoughts: matches.slice(skip, skip + limit).map(({ thought, score }) => ({
+        ...this.toPlainThought(thought),
+        score
+      })),
+      total: matches.length
+    }
+  }
+
+  // Every thought's tags in _id order, a batch at a time (for re-tagging)
+  async listThoughtTagBatch({ afterId = null, limit = 200 } = {}) {
+    return this.thoughts
+      .filter((thought) => !afterId || thought._id > afterId)
+      .sort((a, b) => a._id.localeCompare(b._id))
+      .slice(0, limit)
+      .map(({ _id, message, tags, themeTags }) => ({
+        _id,
+        message,
+        tags: [...tags],
+        themeTags: [...themeTags]
+      }))
+  }
+
+  // [{ id, tags, themeTags }], without touching anything else
+  async setThoughtTags(updates) {
+    let updated = 0
+    for (const { id, tags, themeTags } of updates) {
+      const thought = this.thoughts.find((t) => t._id === String(id))
+      if (!thought) continue
+
+      Object.assign(thought, { tags: [...tags], themeTags: [...themeTags] })
+      updated += 1
+    }
+
+    if (updated) this.saveCollection('thoughts')
+    return updated
+  }
+
+  // Thoughts from before sentiment was scored, in _id order a batch at a time
+  async listUnscoredThoughts({ afterId = null, limit = 200 } = {}) {
+    return this.thoughts
+      .filter((thought) => !thought.mood && (!afterId || thought._id > afterId))
+      .sort((a, b) => a._id.localeCompare(b._id))
+      .slice(0, limit)
+      .map(({ _id, message }) => ({ _id, message }))
+  }
+
+  // [{ id, sentiment, mood }], without touching anything else
+  async setThoughtSentiments(updates) {
+    let updated = 0
+    for (const { id, sentiment, mood } of updates) {
+      const thought = this.thoughts.find((t) => t._id === String(id))
+      if (!thought) continue
+
+      Object.assign(thought, { sentiment, mood })
+      updated += 1
+    }
+
+    if (updated) this.saveCollection('thoughts')
+    return updated
+  }
+
+  // Mood counts and average sentiment per period, oldest period first
+  async summarizeMoods({ interval = 'day', filters = {} } = {}) {
+    const rows = new Map()
+
+    for (const thought of this.thoughts.filter(thoughtFilter(filters))) {
+      if (!thought.mood) continue
+
+      const period = periodOf(thought.createdAt, interval)
+      const key = `${period}:${thought.mood}`
+      const row = rows.get(key) || {
+        period,
+        mood: thought.mood,
+        count: 0,
+        sentimentSum: 0
+      }
+      row.count += 1
+      row.sentimentSum += thought.sentiment || 0
+      rows.set(key, row)
+    }
+
+    return [...rows.values()].sort((a, b) => a.period.localeCompare(b.period))
+  }
+
+  // Comments
+
+  async listComments(thoughtId, { skip = 0, limit = 10 } = {}) {
+    return this.comments
+      .filter((c) => c.thought === String(thoughtId) && !c.parent)
+      .sort(byOldest)
+      .slice(skip, skip + limit)
+      .map((comment) => this.toPlainComment(comment))
+  }
+
+  async countComments(thoughtId) {
+    return this.comments.filter(
+      (c) => c.thought === String(thoughtId) && !c.parent
+    ).length
+  }
+
+  async listReplies(parentIds) {
+    const ids = parentIds.map(String)
+    return this.comments
+      .filter((c) => c.parent && ids.includes(c.parent))
+      .sort(byOldest)
+      .map((comment) => this.toPlainComment(comment))
+  }
+
+  async countCommentsByThought(thoughtIds) {
+    const ids = thoughtIds.map(String)
+    const counts = {}
+    for (const comment of this.comments) {
+      if (ids.includes(comment.thought)) {
+        counts[comment.thought] = (counts[comment.thought] || 0) + 1
+      }
+    }
+    return counts
+  }
+
+  async findCommentById(id) {
+    const comment = this.comments.find((c) => c._id === String(id))
+    return this.toPlainComment(comment)
+  }
+
+  async createComment(data) {
+    const now = new Date().toISOString()
+    const comment = {
+      _id: newId(),
+      thought: String(data.thought),
+      parent: data.parent ? String(data.parent) : null,
+      message: data.message.trim(),
+      tags: data.tags || [],
+      user: data.user || null,
+      createdAt: now,
+      updatedAt: now,
+      __v: 0
+    }
+
+    this.comments.push(comment)
+    this.saveCollection('comments')
+    return this.toPlainComment(comment)
+  }
+
+  async updateComment(id, changes) {
+    const comment = this.comments.find((c) => c._id === String(id))
+    if (!comment) return null
+
+    Object.assign(comment, changes, { updatedAt: new Date().toISOString() })
+    this.saveCollection('comments')
+    return this.toPlainComment(comment)
+  }
+
+  // Every comment's tags in _id order, a batch at a time (for re-tagging)
+  async listCommentTagBatch({ afterId = null, limit = 200 } = {}) {
+    return this.comments
+      .filter((comment) => !afterId || comment._id > afterId)
+      .sort((a, b) => a._id.localeCompare(b._id))
+      .slice(0, limit)
+      .map(({ _id, message, tags }) => ({
+        _id,
+        message,
+        tags: [...(tags || [])]
+      }))
+  }
+
+  // [{ id, tags }]; re-tagging doesn't count as an edit, so updatedAt stays
+  async setCommentTags(updates) {
+    let updated = 0
+    for (const { id, tags } of updates) {
+      const comment = this.comments.find((c) => c._id === String(id))
+      if (!comment) continue
+
+      comment.tags = [...tags]
+      updated += 1
+    }
+
+    if (updated) this.saveCollection('comments')
+    return updated
+  }
+
+  async deleteComment(id) {
+    const comment = this.comments.find((c) => c._id === String(id))
+    if (!comment) return null
+
+    // Replies go with their parent
+    this.comments = this.comments.filter(
+      (c) => c._id !== comment._id && c.parent !== comment._id
+    )
+    this.saveCollection('comments')
+    return this.toPlainComment(comment)
+  }
+
+  // Users
+
+  async findUserById(id) {
+    const user = this.users.find((u) => u._id === String(id))
+    return this.toPlainUser(user)
+  }
+
+  async findUserByUsername(username, { includePassword = false } = {}) {
+    const user = this.users.find((u) => u.username === username)
+    return this.toPlainUser(user, includePassword)
+  }
+
+  async findUserByEmail(email) {
+    const user = this.users.find((u) => u.email === email.toLowerCase())
+    return this.toPlainUser(user)
+  }
+
+  async createUser({ username, password, email }) {
+    const user = {
+      _id: newId(),
+      username: username.trim(),
+      ...(email ? { email: email.trim().toLowerCase() } : {}),
+      password: await bcrypt.hash(password, 10),
+      bio: '',
+      avatarUrl: null,
+      role: 'user',
+      bannedAt: null,
+      banReason: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }
+
+    this.users.push(user)
+    this.saveCollection('users')
+    return this.toPlainUser(user)
+  }
+
+  // Reports
+
+  // Null when this reporter already reported the thought
+  async createReport(data) {
+    const thoughtId = String(data.thought)
+    const duplicate = this.reports.some(
+      (r) => r.thought === thoughtId && r.reporterKey === data.reporterKey
+    )
+    if (duplicate) return null
+
+    const now = new Date().toISOString()
+    const report = {
+      _id: newId(),
+      thought: thoughtId,
+      user: data.user ? String(data.user) : null,
+      reporterKey: data.reporterKey,
+      reason: data.reason,
+      details: data.details || null,
+      status: 'open',
+      resolvedAt: null,
+      resolvedBy: null,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.reports.push(report)
+    this.saveCollection('reports')
+    return { ...report }
+  }
+
+  openReports(thoughtId) {
+    return this.reports.filter(
+      (r) => r.thought === String(thoughtId) && r.status === 'open'
+    )
+  }
+
+  async countOpenReports(thoughtId) {
+    return this.openReports(thoughtId).length
+  }
+
+  // { thoughtId: { reason: count } } for the open reports of each thought
+  async summarizeOpenReports(thoughtIds) {
+    const summary = {}
+    for (const id of thoughtIds.map(String)) {
+      for (const { reason } of this.openReports(id)) {
+        summary[id] = {
+          ...summary[id],
+          [reason]: (summary[id]?.[reason] || 0) + 1
+        }
+      }
+    }
+    return summary
+  }
+
+  async resolveReports(thoughtId, { status, resolvedBy }) {
+    const open = this.openReports(thoughtId)
+    const now = new Date().toISOString()
+
+    open.forEach((report) => {
+      Object.assign(report, {
+        status,
+        resolvedBy: resolvedBy ? String(resolvedBy) : null,
+        resolvedAt: now,
+        updatedAt: now
+      })
+    })
+    if (open.length) this.saveCollection('reports')
+    return open.length
+  }
+
+  // Follows
+
+  findFollow(followerId, followingId) {
+    return this.follows.find(
+      (f) =>
+        f.follower === String(followerId) && f.following === String(followingId)
+    )
+  }
+
+  async follow(followerId, followingId) {
+    if (this.findFollow(followerId, followingId)) return false
+
+    this.follows.push({
+      _id: newId(),
+      follower: String(followerId),
+      following: String(followingId),
+      createdAt: new Date().toISOString()
+    })
+    this.saveCollection('follows')
+    return true
+  }
+
+  async unfollow(followerId, followingId) {
+    const follow = this.findFollow(followerId, followingId)
+    if (!follow) return false
+
+    this.follows = this.follows.filter((f) => f !== follow)
+    this.saveCollection('follows')
+    return true
+  }
+
+  async isFollowing(followerId, followingId) {
+    return Boolean(this.findFollow(followerId, followingId))
+  }
+
+  // Follows for one side of the relationship, newest first, with users attached
+  listFollowUsers(field, userId, otherField, { skip, limit }) {
+    return this.follows
+      .filter((f) => f[field] === String(userId))
+      .sort(byNewest)
+      .map((f) => ({
+        user: this.toPlainUser(this.users.find((u) => u._id === f[otherField])),
+        followedAt: new Date(f.createdAt)
+      }))
+      .filter((entry) => entry.user)
+      .slice(skip, skip + limit)
+  }
+
+  async listFollowers(userId, { skip = 0, limit = 10 } = {}) {
+    return this.listFollowUsers('following', userId, 'follower', {
+      skip,
+      limit
+    })
+  }
+
+  async listFollowing(userId, { skip = 0, limit = 10 } = {}) {
+    return this.listFollowUsers('follower', userId, 'following', {
+      skip,
+      limit
+    })
+  }
+
+  async countFollowers(userId) {
+    return this.follows.filter((f) => f.following === String(userId)).length
+  }
+
+  async countFollowing(userId) {
+    return this.follows.filter((f) => f.follower === String(userId)).length
+  }
+
+  async listFollowingIds(userId) {
+    return this.follows
+      .filter((f) => f.follower === String(userId))
+      .map((f) => f.following)
+  }
+
+  async setUserPassword(id, password) {
+    const user = this.users.find((u) => u._id === String(id))
+    if (!user) return null
+
+    user.password = await bcrypt.hash(password, 10)
+    user.updatedAt = new Date().toISOString()
+    this.saveCollection('users')
+    return this.toPlainUser(user)
+  }
+
+  async updateUser(id, changes) {
+    const user = this.users.find((u) => u._id === String(id))
+    if (!user) return null
+
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() })
+    this.saveCollection('users')
+    return this.toPlainUser(user)
+  }
+
+  // Sessions
+
+  async createSession(data) {
+    const now = new Date().toISOString()
+    const session = {
+      _id: newId(),
+      user: String(data.user),
+      tokenHash: data.tokenHash,
+      previousTokenHash: null,
+      expiresAt: new Date(data.expiresAt).toISOString(),
+      revokedAt: null,
+      lastUsedAt: now,
+      userAgent: data.userAgent || null,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.sessions.push(session)
+    this.saveCollection('sessions')
+    return this.toPlainSession(session)
+  }
+
+  async findSessionById(id) {
+    const session = this.sessions.find((s) => s._id === String(id))
+    return this.toPlainSession(session)
+  }
+
+  // Matches the current or the rotated-out refresh token
+  async findSessionByTokenHash(tokenHash) {
+    const session = this.sessions.find(
+      (s) => s.tokenHash === tokenHash || s.previousTokenHash === tokenHash
+    )
+    return this.toPlainSession(session)
+  }
+
+  async rotateSession(id, currentTokenHash, changes) {
+    const session = this.sessions.find(
+      (s) =>
+        s._id === String(id) && s.tokenHash === currentTokenHash && !s.revokedAt
+    )
+    if (!session) return null
+
+    Object.assign(session, {
+      ...changes,
+      expiresAt: new Date(changes.expiresAt).toISOString(),
+      lastUsedAt: new Date(changes.lastUsedAt).toISOString(),
+      updatedAt: new Date().toISOString()
+    })
+    this.saveCollection('sessions')
+    return this.toPlainSession(session)
+  }
+
+  async revokeSession(id) {
+    const session = this.sessions.find(
+      (s) => s._id === String(id) && !s.revokedAt
+    )
+    if (!session) return
+
+    session.revokedAt = new Date().toISOString()
+    this.saveCollection('sessions')
+  }
+
+  async revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+    const now = new Date().toISOString()
+    const active = this.sessions.filter(
+      (s) =>
+        s.user === String(userId) &&
+        !s.revokedAt &&
+        s._id !== String(exceptSessionId)
+    )
+
+    active.forEach((session) => {
+      session.revokedAt = now
+    })
+    this.saveCollection('sessions')
+    return active.length
+  }
+
+  // Password resets
+
+  toPlainPasswordReset(reset) {
+    if (!reset) return null
+
+    return {
+      ...reset,
+      expiresAt: new Date(reset.expiresAt),
+      usedAt: reset.usedAt ? new Date(reset.usedAt) : null,
+      createdAt: new Date(reset.createdAt)
+    }
+  }
+
+  async createPasswordReset(data) {
+    const reset = {
+      _id: newId(),
+      user: String(data.user),
+      tokenHash: data.tokenHash,
+      expiresAt: new Date(data.expiresAt).toISOString(),
+      usedAt: null,
+      createdAt: new Date().toISOString()
+    }
+
+    this.passwordResets.push(reset)
+    this.saveCollection('passwordResets')
+    return this.toPlainPasswordReset(reset)
+  }
+
+  async findPasswordResetByTokenHash(tokenHash) {
+    const reset = this.passwordResets.find((r) => r.tokenHash === tokenHash)
+    return this.toPlainPasswordReset(reset)
+  }
+
+  // Marks a token used; false when it was already used (single use)
+  async consumePasswordReset(id) {
+    const reset = this.passwordResets.find(
+      (r) => r._id === String(id) && !r.usedAt
+    )
+    if (!reset) return false
+
+    reset.usedAt = new Date().toISOString()
+    this.saveCollection('passwordResets')
+    return true
+  }
+  // Tag taxonomy
+
+  newTagCategory(data) {
+    const now = new Date().toISOString()
+    return {
+      _id: newId(),
+      name: data.name,
+      description: data.description || null,
+      keywords: { ...data.keywords },
+      emojis: [...(data.emojis || [])],
+      createdAt: now,
+      updatedAt: now
+    }
+  }
+
+  toPlainTagCategory(category) {
+    if (!category) return null
+
+    return {
+      ...category,
+      keywords: Object.fromEntries(
+        Object.entries(category.keywords).map(([language, terms]) => [
+          language,
+          [...terms]
+        ])
+      ),
+      emojis: [...category.emojis],
+      createdAt: new Date(category.createdAt),
+      updatedAt: new Date(category.updatedAt)
+    }
+  }
+
+  async listTagCategories() {
+    return [...this.tagCategories]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((category) => this.toPlainTagCategory(category))
+  }
+
+  async findTagCategory(name) {
+    const category = this.tagCategories.find((c) => c.name === name)
+    return this.toPlainTagCategory(category)
+  }
+
+  async createTagCategory(data) {
+    const category = this.newTagCategory(data)
+
+    this.tagCategories.push(category)
+    this.saveCollection('tagCategories')
+    return this.toPlainTagCategory(category)
+  }
+
+  async updateTagCategory(name, changes) {
+    const category = this.tagCategories.find((c) => c.name === name)
+    if (!category) return null
+
+    Object.assign(category, changes, { updatedAt: new Date().toISOString() })
+    this.saveCollection('tagCategories')
+    return this.toPlainTagCategory(category)
+  }
+
+  async deleteTagCategory(name) {
+    const index = this.tagCategories.findIndex((c) => c.name === name)
+    if (index === -1) return null
+
+    const [deleted] = this.tagCategories.splice(index, 1)
+    this.saveCollection('tagCategories')
+    return this.toPlainTagCategory(deleted)
+  }
+
+  // Webhooks
+
+  toPlainWebhook(webhook) {
+    if (!webhook) return null
+
+    return {
+      ...webhook,
+      events: [...webhook.events],
+      createdAt: new Date(webhook.createdAt),
+      updatedAt: new Date(webhook.updatedAt)
+    }
+  }
+
+  toPlainDelivery(delivery) {
+    if (!delivery) return null
+
+    return {
+      ...delivery,
+      attempts: delivery.attempts.map((attempt) => ({
+        ...attempt,
+        at: new Date(attempt.at)
+      })),
+      nextAttemptAt: delivery.nextAttemptAt
+        ? new Date(delivery.nextAttemptAt)
+        : null,
+      deliveredAt: delivery.deliveredAt ? new Date(delivery.deliveredAt) : null,
+      createdAt: new Date(delivery.createdAt),
+      updatedAt: new Date(delivery.updatedAt)
+    }
+  }
+
+  async listWebhooks() {
+    return [...this.webhooks]
+      .sort(byOldest)
+      .map((webhook) => this.toPlainWebhook(webhook))
+  }
+
+  // Active webhooks subscribed to an event
+  async listWebhooksForEvent(event) {
+    return this.webhooks
+      .filter((w) => w.active && w.events.includes(event))
+      .map((webhook) => this.toPlainWebhook(webhook))
+  }
+
+  async findWebhookById(id) {
+    const webhook = this.webhooks.find((w) => w._id === String(id))
+    return this.toPlainWebhook(webhook)
+  }
+
+  async createWebhook(data) {
+    const now = new Date().toISOString()
+    const webhook = {
+      _id: newId(),
+      url: data.url,
+      events: [...data.events],
+      secret: data.secret,
+      description: data.description || null,
+      active: data.active ?? true,
+      createdBy: data.createdBy ? String(data.createdBy) : null,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.webhooks.push(webhook)
+    this.saveCollection('webhooks')
+    return this.toPlainWebhook(webhook)
+  }
+
+  async updateWebhook(id, changes) {
+    const webhook = this.webhooks.find((w) => w._id === String(id))
+    if (!webhook) return null
+
+    Object.assign(webhook, changes, { updatedAt: new Date().toISOString() })
+    this.saveCollection('webhooks')
+    return this.toPlainWebhook(webhook)
+  }
+
+  async deleteWebhook(id) {
+    const index = this.webhooks.findIndex((w) => w._id === String(id))
+    if (index === -1) return null
+
+    const [deleted] = this.webhooks.splice(index, 1)
+    this.saveCollection('webhooks')
+
+    this.webhookDeliveries = this.webhookDeliveries.filter(
+      (d) => d.webhook !== deleted._id
+    )
+    this.saveCollection('webhookDeliveries')
+
+    return this.toPlainWebhook(deleted)
+  }
+
+  async createDelivery(data) {
+    const now = new Date().toISOString()
+    const delivery = {
+      _id: newId(),
+      webhook: String(data.webhook),
+      event: data.event,
+      eventId: data.eventId,
+      payload: data.payload,
+      status: data.status || 'pending',
+      attempts: [],
+      nextAttemptAt: data.nextAttemptAt
+        ? new Date(data.nextAttemptAt).toISOString()
+        : null,
+      deliveredAt: null,
+      replayOf: data.replayOf ? String(data.replayOf) : null,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    this.webhookDeliveries.push(delivery)
+    this.saveCollection('webhookDeliveries')
+    return this.toPlainDelivery(delivery)
+  }
+
+  async findDeliveryById(id) {
+    const delivery = this.webhookDeliveries.find((d) => d._id === String(id))
+    return this.toPlainDelivery(delivery)
+  }
+
+  // Records an attempt along with the changes it leads to
+  async recordDeliveryAttempt(id, attempt, changes) {
+    const delivery = this.webhookDeliveries.find((d) => d._id === String(id))
+    if (!delivery) return null
+
+    const toDate = (value) => (value ? new Date(value).toISOString() : null)
+    delivery.attempts.push({ ...attempt, at: toDate(attempt.at) })
+    Object.assign(delivery, changes, {
+      ...('nextAttemptAt' in changes
+        ? { nextAttemptAt: toDate(changes.nextAttemptAt) }
+        : {}),
+      ...('deliveredAt' in changes
+        ? { deliveredAt: toDate(changes.deliveredAt) }
+        : {}),
+      updatedAt: new Date().toISOString()
+    })
+
+    this.saveCollection('webhookDeliveries')
+    return this.toPlainDelivery(delivery)
+  }
+
+  // Newest first
+  async listDeliveries(webhookId, { skip = 0, limit = 20 } = {}) {
+    return this.webhookDeliveries
+      .filter((d) => d.webhook === String(webhookId))
+      .sort((a, b) => byNewest(a, b) || b._id.localeCompare(a._id))
+      .slice(skip, skip + limit)
+      .map((delivery) => this.toPlainDelivery(delivery))
+  }
+
+  async countDeliveries(webhookId) {
+    return this.webhookDeliveries.filter((d) => d.webhook === String(webhookId))
+      .length
+  }
+
+  // Pending deliveries whose next attempt is due, oldest first
+  async listDueDeliveries(now = new Date(), { limit = 50 } = {}) {
+    return this.webhookDeliveries
+      .filter(
+        (d) =>
+          d.status === 'pending' &&
+          d.nextAttemptAt &&
+          new Date(d.nextAttemptAt) <= now
+      )
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, limit)
+      .map((delivery) => this.toPlainDelivery(delivery))
+  }
+}
+
+export default FileStorage
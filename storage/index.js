@@ -0,0 +1,143 @@
+/**
+ * Storage Selection
+ * Purpose: Chooses the storage adapter (MongoDB or JSON files) once at startup.
+ * Usage: server.js calls initStorage() before listening; services call getStorage().
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+import { logger } from '../utils/logger.js'
+import {
+  dbOperationDuration,
+  dbOperationFailures,
+  secondsSince,
+  storageMode
+} from '../utils/metrics.js'
+import { DEFAULT_TAXONOMY } from '../utils/tagging.js'
+import { FileStorage } from './fileStorage.js'
+import { MongoStorage } from './mongoStorage.js'
+
+const mongoURL =
+  process.env.MONGO_URL || 'mongodb://localhost:27017/happy-thoughts'
+
+let storage = null
+
+/**
+ * Wraps an adapter so every async method is timed into
+ * db_operation_duration_seconds (and failures counted). Calls the adapter
+ * makes to itself aren't counted twice.
+ */
+const instrument = (adapter) => {
+  const wrapped = new Map()
+
+  const timed =
+    (operation, method) =>
+    (...args) => {
+      const result = method.apply(adapter, args)
+      if (!(result instanceof Promise)) return result
+
+      const labels = { operation, storage: adapter.mode }
+      const startedAt = process.hrtime.bigint()
+      return result.then(
+        (value) => {
+          dbOperationDuration.observe(labels, secondsSince(startedAt))
+          return value
+        },
+        (error) => {
+          dbOperationDuration.observe(labels, secondsSince(startedAt))
+          dbOperationFailures.inc(labels)
+          throw error
+        }
+      )
+    }
+
+  storageMode.set({ mode: adapter.mode }, 1)
+  return new Proxy(adapter, {
+    get(target, property) {
+      const value = target[property]
+      if (typeof value !== 'function' || typeof property !== 'string') {
+        return value
+      }
+      if (!wrapped.has(property)) wrapped.set(property, timed(property, value))
+      return wrapped.get(property)
+    }
+  })
+}
+
+// Copy the sample thoughts into an empty database
+const seedDatabase = async (mongoStorage) => {
+  const count = await mongoStorage.countThoughts()
+
+  if (count > 0) {
+    logger.info(`Database contains ${count} thoughts, skipping migration`)
+    return
+  }
+
+  logger.info('Empty database detected, migrating data from JSON...')
+  try {
+    const seed = new FileStorage()
+    const thoughts = seed.thoughts.map(
+      ({ _id, user, likes, anonymousLikes, ...thought }) => thought
+    )
+    const imported = await mongoStorage.importThoughts(thoughts)
+    logger.info(`Imported ${imported} thoughts to MongoDB`)
+  } catch (error) {
+    logger.error('Migration failed', { error })
+  }
+}
+
+// Start an empty tag taxonomy with the default categories
+const seedTaxonomy = async (mongoStorage) => {
+  const categories = await mongoStorage.listTagCategories()
+  if (categories.length) return
+
+  try {
+    const imported = await mongoStorage.importTagCategories(DEFAULT_TAXONOMY)
+    logger.info(`Seeded the tag taxonomy with ${imported} categories`)
+  } catch (error) {
+    logger.error('Seeding the tag taxonomy failed', { error })
+  }
+}
+
+/**
+ * Connects to MongoDB and picks the adapter every request will use.
+ * STORAGE_MODE=file skips MongoDB entirely. In production the Mongo adapter
+ * is always used, so requests get a 503 instead of silently using files.
+ */
+export const initStorage = async () => {
+  const mode = process.env.STORAGE_MODE
+
+  if (mode !== 'file') {
+    try {
+      await mongoose.connect(mongoURL)
+      logger.info('Connected to MongoDB')
+
+      storage = instrument(new MongoStorage())
+      await seedDatabase(storage)
+      await seedTaxonomy(storage)
+      return storage
+    } catch (err) {
+      logger.error('MongoDB connection error', { error: err })
+
+      if (mode === 'mongo' || process.env.NODE_ENV === 'production') {
+        storage = instrument(new MongoStorage())
+        return storage
+      }
+    }
+  }
+
+  logger.info('Using file storage')
+  storage = instrument(new FileStorage())
+  return storage
+}
+
+export const getStorage = () => {
+  if (!storage) {
+    throw new Error(
+      'Storage has not been initialized, call initStorage() first'
+    )
+  }
+  return storage
+}
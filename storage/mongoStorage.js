@@ -0,0 +1,1295 @@
+/**
+ * MongoDB Storage Adapter
+ * Purpose: Implements the storage interface on top of the Mongoose models.
+ * Usage: Selected by storage/index.js when MongoDB is reachable at startup.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import mongoose from 'mongoose'
+
+import Comment from '../models/Comment.js'
+import Follow from '../models/Follow.js'
+import Heart from '../models/Heart.js'
+import PasswordReset from '../models/PasswordReset.js'
+import Report from '../models/Report.js'
+import Session from '../models/Session.js'
+import TagCategory from '../models/TagCategory.js'
+import Thought from '../models/Thought.js'
+import ThoughtRevision from '../models/ThoughtRevision.js'
+import User from '../models/User.js'
+import Webhook from '../models/Webhook.js'
+import WebhookDelivery from '../models/WebhookDelivery.js'
+import { PERIOD_FORMATS } from '../utils/periods.js'
+import { HEART } from '../utils/reactions.js'
+import { MOODS } from '../utils/sentiment.js'
+import {
+  HOUR_MS,
+  TRENDING_AGE_OFFSET,
+  TRENDING_GRAVITY
+} from '../utils/trending.js'
+
+const USER_FIELDS = 'username'
+// Hidden thoughts stay out of every public list
+const VISIBLE = { hidden: { $ne: true } }
+const PROFILE_FIELDS = 'username bio avatarUrl createdAt'
+
+// Sort orders for thought lists; _id breaks ties so keyset cursors are stable
+const THOUGHT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  hearts: { hearts: -1, createdAt: -1, _id: -1 }
+}
+
+// Tag list orders; the tag name breaks ties
+const TAG_SORTS = {
+  popular: { thoughtCount: -1, hearts: -1, _id: 1 },
+  hearts: { hearts: -1, thoughtCount: -1, _id: 1 },
+  recent: { lastUsedAt: -1, _id: 1 },
+  name: { _id: 1 }
+}
+
+// trendingScore() from utils/trending.js as an aggregation expression
+const trendingScoreExpression = (hearts, createdAt, now) => ({
+  $divide: [
+    hearts,
+    {
+      $pow: [
+        {
+          $add: [
+            {
+              $max: [0, { $divide: [{ $subtract: [now, createdAt] }, HOUR_MS] }]
+            },
+            TRENDING_AGE_OFFSET
+          ]
+        },
+        TRENDING_GRAVITY
+      ]
+    }
+  ]
+})
+
+// Build a query from the shared thought filters
+const buildThoughtFilter = ({
+  tag,
+  mood,
+  authorIds,
+  since,
+  until,
+  hasLikes,
+  minHearts,
+  visibility = 'public',
+  reported
+} = {}) => {
+  const filter = visibility === 'public' ? { ...VISIBLE } : {}
+
+  if (visibility === 'hidden') filter.hidden = true
+  if (reported) filter.reportCount = { $gt: 0 }
+
+  if (tag) filter.tags = tag
+  if (mood) filter.mood = mood
+  if (authorIds) {
+    filter.user = { $in: authorIds }
+    filter.isAnonymous = { $ne: true }
+  }
+  if (since || until) {
+    filter.createdAt = {
+      ...(since ? { $gte: since } : {}),
+      ...(until ? { $lte: until } : {})
+    }
+  }
+  if (hasLikes === true || minHearts) {
+    filter.hearts = {
+      ...(hasLikes === true ? { $gt: 0 } : {}),
+      ...(minHearts ? { $gte: minHearts } : {})
+    }
+  } else if (hasLikes === false) {
+    filter.hearts = { $not: { $gt: 0 } }
+  }
+
+  return filter
+}
+
+// Keyset condition: thoughts strictly after the cursor in its sort order
+const buildCursorFilter = ({ sort, createdAt, id, hearts }) => {
+  if (sort === 'oldest') {
+    return {
+      $or: [{ createdAt: { $gt: createdAt } }, { createdAt, _id: { $gt: id } }]
+    }
+  }
+
+  const newer = [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } }
+  ]
+
+  if (sort === 'hearts') {
+    return {
+      $or: [
+        { hearts: { $lt: hearts } },
+        ...newer.map((condition) => ({ hearts, ...condition }))
+      ]
+    }
+  }
+
+  return { $or: newer }
+}
+
+// Hearts nobody can take back: stored for newer documents, derived from the
+// heart count for documents written before likes were tracked per client
+// (an update pipeline expression, so it's computed atomically)
+const UNTRACKED_HEARTS = {
+  $max: [
+    0,
+    {
+      $subtract: [
+        { $ifNull: ['$hearts', 0] },
+        {
+          $add: [
+            { $size: { $ifNull: ['$likes', []] } },
+            { $size: { $ifNull: ['$anonymousLikes', []] } }
+          ]
+        }
+      ]
+    }
+  ]
+}
+
+// Convert a lean thought document into the shared plain shape
+const toPlainThought = (doc) => {
+  if (!doc) return null
+
+  const { user, likes = [], ...rest } = doc
+  // user is either populated ({ _id, username }) or a bare ObjectId
+  const plainUser = user
+    ? { _id: (user._id || user).toString(), username: user.username || null }
+    : null
+
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    tags: rest.tags || [],
+    themeTags: rest.themeTags || [],
+    likes: likes.map((id) => id.toString()),
+    anonymousLikes: rest.anonymousLikes || [],
+    reactions: (rest.reactions || []).map((reaction) => ({
+      emoji: reaction.emoji,
+      user: reaction.user ? reaction.user.toString() : null,
+      client: reaction.client || null
+    })),
+    reportCount: rest.reportCount || 0,
+    hidden: Boolean(rest.hidden),
+    hiddenBy: rest.hiddenBy ? rest.hiddenBy.toString() : null,
+    editedAt: rest.editedAt || null,
+    revisionCount: rest.revisionCount || 0,
+    user: plainUser
+  }
+}
+
+const toPlainRevision = (doc) => {
+  if (!doc) return null
+
+  return {
+    ...doc,
+    _id: doc._id.toString(),
+    thought: doc.thought.toString(),
+    tags: doc.tags || []
+  }
+}
+
+// Convert a lean comment document into the shared plain shape
+const toPlainComment = (doc) => {
+  if (!doc) return null
+
+  const { user, ...rest } = doc
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    thought: doc.thought.toString(),
+    parent: doc.parent ? doc.parent.toString() : null,
+    tags: rest.tags || [],
+    user: user
+      ? { _id: (user._id || user).toString(), username: user.username || null }
+      : null
+  }
+}
+
+// Convert a lean session document into the shared plain shape
+const toPlainSession = (doc) => {
+  if (!doc) return null
+
+  return {
+    ...doc,
+    _id: doc._id.toString(),
+    user: doc.user.toString()
+  }
+}
+
+// Convert a lean user document into the shared plain shape
+const toPlainUser = (doc, includePassword = false) => {
+  if (!doc) return null
+
+  // accessToken is a leftover field on older user documents
+  const { password, accessToken, __v, ...rest } = doc
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    bio: rest.bio || '',
+    avatarUrl: rest.avatarUrl || null,
+    role: rest.role || 'user',
+    bannedAt: rest.bannedAt || null,
+    // Users created before timestamps were added fall back to the id's time
+    createdAt: rest.createdAt || doc._id.getTimestamp(),
+    ...(includePassword ? { password } : {})
+  }
+}
+
+// Convert a lean tag category document into the shared plain shape
+const toPlainTagCategory = (doc) => {
+  if (!doc) return null
+
+  const { __v, ...rest } = doc
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    keywords: rest.keywords || {},
+    emojis: rest.emojis || []
+  }
+}
+
+// Convert a lean webhook document into the shared plain shape
+const toPlainWebhook = (doc) => {
+  if (!doc) return null
+
+  const { __v, ...rest } = doc
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    createdBy: doc.createdBy ? doc.createdBy.toString() : null
+  }
+}
+
+// Convert a lean delivery document into the shared plain shape
+const toPlainDelivery = (doc) => {
+  if (!doc) return null
+
+  const { __v, ...rest } = doc
+  return {
+    ...rest,
+    _id: doc._id.toString(),
+    webhook: doc.webhook.toString(),
+    replayOf: doc.replayOf ? doc.replayOf.toString() : null
+  }
+}
+
+export class MongoStorage {
+  constructor() {
+    this.mode = 'mongo'
+  }
+
+  isReady() {
+    return mongoose.connection.readyState === 1
+  }
+
+  // Pings the server; the connection state alone misses a stalled server
+  async checkHealth() {
+    if (!this.isReady()) {
+      return {
+        status: 'down',
+        state: mongoose.STATES[mongoose.connection.readyState]
+      }
+    }
+
+    const startedAt = Date.now()
+    await mongoose.connection.db.admin().ping()
+    return { status: 'up', latencyMs: Date.now() - startedAt }
+  }
+
+  async close() {
+    await mongoose.disconnect()
+  }
+
+  // Thoughts
+
+  async listThoughts({
+    skip = 0,
+    limit = 10,
+    sort = 'newest',
+    filters = {},
+    after = null
+  } = {}) {
+    const filter = buildThoughtFilter(filters)
+    const query = after ? { $and: [filter, buildCursorFilter(after)] } : filter
+
+    const docs = await Thought.find(query)
+      .sort(THOUGHT_SORTS[sort])
+      .skip(skip)
+      .limit(limit)
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainThought)
+  }
+
+  async countThoughts(filters = {}) {
+    return Thought.countDocuments(buildThoughtFilter(filters))
+  }
+
+  async findThoughtById(id) {
+    const doc = await Thought.findById(id).populate('user', USER_FIELDS).lean()
+    return toPlainThought(doc)
+  }
+
+  async createThought(data) {
+    const created = await Thought.create(data)
+    return this.findThoughtById(created._id)
+  }
+
+  async updateThought(id, changes) {
+    const doc = await Thought.findByIdAndUpdate(id, changes, {
+      new: true,
+      runValidators: true
+    })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return toPlainThought(doc)
+  }
+
+  async deleteThought(id) {
+    const doc = await Thought.findByIdAndDelete(id).lean()
+    if (doc) {
+      await Comment.deleteMany({ thought: doc._id })
+      await Report.deleteMany({ thought: doc._id })
+      await Heart.deleteMany({ thought: doc._id })
+      await ThoughtRevision.deleteMany({ thought: doc._id })
+    }
+    return toPlainThought(doc)
+  }
+
+  // Applies an author's edit and keeps the replaced version ({ message,
+  // tags, writtenAt }) as the next revision
+  async reviseThought(id, changes, revision) {
+    const doc = await Thought.findByIdAndUpdate(
+      id,
+      { $set: changes, $inc: { revisionCount: 1 } },
+      { new: true, runValidators: true }
+    )
+      .populate('user', USER_FIELDS)
+      .lean()
+    if (!doc) return null
+
+    await ThoughtRevision.create({
+      ...revision,
+      thought: doc._id,
+      version: doc.revisionCount,
+      replacedAt: doc.editedAt
+    })
+    return toPlainThought(doc)
+  }
+
+  // Oldest first
+  async listThoughtRevisions(thoughtId) {
+    const docs = await ThoughtRevision.find({ thought: thoughtId })
+      .sort({ version: 1 })
+      .lean()
+    return docs.map(toPlainRevision)
+  }
+
+  // Replaces the reaction of a user or anonymous client (null removes it).
+  // Hearts go into likes / anonymousLikes, the rest into reactions. Every
+  // step is a conditional update, so concurrent reactions never overwrite
+  // each other and `hearts` only moves with a like that was added or removed.
+  async setReaction(id, { userId = null, clientId = null }, emoji) {
+    if (!(await Thought.exists({ _id: id }))) return null
+
+    // Older documents derive anonymousHearts; store it before hearts changes
+    await Thought.updateOne({ _id: id, anonymousHearts: { $exists: false } }, [
+      { $set: { anonymousHearts: UNTRACKED_HEARTS } }
+    ])
+
+    const reactor = userId ? new mongoose.Types.ObjectId(userId) : clientId
+    const likesField = userId ? 'likes' : 'anonymousLikes'
+    const reactionField = userId ? 'reactions.user' : 'reactions.client'
+
+    const unliked = await Thought.updateOne(
+      { _id: id, [likesField]: reactor },
+      { $pull: { [likesField]: reactor }, $inc: { hearts: -1 } }
+    )
+    await Thought.updateOne(
+      { _id: id },
+      { $pull: { reactions: userId ? { user: reactor } : { client: reactor } } }
+    )
+
+    let liked = { modifiedCount: 0 }
+    if (emoji === HEART) {
+      liked = await Thought.updateOne(
+        { _id: id, [likesField]: { $ne: reactor } },
+        { $push: { [likesField]: reactor }, $inc: { hearts: 1 } }
+      )
+    } else if (emoji) {
+      await Thought.updateOne(
+        { _id: id, [reactionField]: { $ne: reactor } },
+        { $push: { reactions: { emoji, user: userId, client: clientId } } }
+      )
+    }
+
+    // Log when the heart was given (or forget it), for trending
+    const heartOwner = userId ? { user: userId } : { client: clientId }
+    if (liked.modifiedCount && !unliked.modifiedCount) {
+      await Heart.create({ thought: id, ...heartOwner })
+    } else if (unliked.modifiedCount && !liked.modifiedCount) {
+      await Heart.deleteMany({ thought: id, ...heartOwner })
+    }
+
+    return this.findThoughtById(id)
+  }
+
+  // Moves a client's anonymous likes and reactions to the account it just created
+  async transferAnonymousReactions(clientId, userId) {
+    const userObjectId = new mongoose.Types.ObjectId(userId)
+
+    const [, likes, reactions] = await Promise.all([
+      Heart.updateMany(
+        { client: clientId },
+        { $set: { user: userObjectId, client: null } }
+      ),
+      Thought.updateMany(
+        { anonymousLikes: clientId },
+        {
+          $pull: { anonymousLikes: clientId },
+          $addToSet: { likes: userObjectId }
+        }
+      ),
+      Thought.updateMany(
+        { 'reactions.client': clientId },
+        {
+          $set: {
+            'reactions.$[mine].user': userObjectId,
+            'reactions.$[mine].client': null
+          }
+        },
+        { arrayFilters: [{ 'mine.client': clientId }] }
+      )
+    ])
+    return likes.modifiedCount + reactions.modifiedCount
+  }
+
+  // Ranks visible thoughts by trending score: hearts since `since` (every
+  // heart when null) over the thought's age. Returns ids and scores only.
+  async rankTrendingThoughts({
+    since = null,
+    tag = null,
+    now = new Date(),
+    skip = 0,
+    limit = 10
+  } = {}) {
+    const visible = { ...VISIBLE, ...(tag ? { tags: tag } : {}) }
+    const rank = [
+      { $sort: { trendingScore: -1, createdAt: -1, _id: -1 } },
+      {
+        $facet: {
+          ranked: [
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { _id: 1, windowHearts: 1, trendingScore: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]
+
+    const [result] = since
+      ? await Heart.aggregate([
+          { $match: { createdAt: { $gte: since } } },
+          { $group: { _id: '$thought', windowHearts: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Thought.collection.name,
+              localField: '_id',
+              foreignField: '_id',
+              as: 'thought'
+            }
+          },
+          { $unwind: '$thought' },
+          {
+            $replaceRoot: {
+              newRoot: {
+                $mergeObjects: ['$thought', { windowHearts: '$windowHearts' }]
+              }
+            }
+          },
+          { $match: visible },
+          {
+            $addFields: {
+              trendingScore: trendingScoreExpression(
+                '$windowHearts',
+                '$createdAt',
+                now
+              )
+            }
+          },
+          ...rank
+        ])
+      : await Thought.aggregate([
+          { $match: { ...visible, hearts: { $gt: 0 } } },
+          {
+            $addFields: {
+              windowHearts: '$hearts',
+              trendingScore: trendingScoreExpression(
+                '$hearts',
+                '$createdAt',
+                now
+              )
+            }
+          },
+          ...rank
+        ])
+
+    return {
+      ranked: result.ranked.map((row) => ({
+        ...row,
+        _id: row._id.toString()
+      })),
+      total: result.total[0]?.count || 0
+    }
+  }
+
+  async findThoughtsByIds(ids) {
+    const docs = await Thought.find({ _id: { $in: ids } })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainThought)
+  }
+
+  async findThoughtsByTag(tag) {
+    const docs = await Thought.find({ tags: tag, ...VISIBLE })
+      .sort({ createdAt: -1 })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainThought)
+  }
+
+  // Every tag on a visible thought with its thought count and hearts
+  async listTagStats({ sort = 'popular' } = {}) {
+    const rows = await Thought.aggregate([
+      { $match: VISIBLE },
+      { $unwind: '$tags' },
+      { $match: { tags: { $type: 'string', $ne: '' } } },
+      {
+        $group: {
+          _id: '$tags',
+          thoughtCount: { $sum: 1 },
+          hearts: { $sum: '$hearts' },
+          lastUsedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: TAG_SORTS[sort] }
+    ])
+
+    return rows.map(({ _id, ...stats }) => ({ tag: _id, ...stats }))
+  }
+
+  async getTagSummary(tag) {
+    const [summary] = await Thought.aggregate([
+      { $match: { tags: tag, ...VISIBLE } },
+      {
+        $group: {
+          _id: null,
+          thoughtCount: { $sum: 1 },
+          hearts: { $sum: '$hearts' },
+          firstUsedAt: { $min: '$createdAt' },
+          lastUsedAt: { $max: '$createdAt' }
+        }
+      }
+    ])
+
+    return {
+      thoughtCount: summary?.thoughtCount || 0,
+      hearts: summary?.hearts || 0,
+      firstUsedAt: summary?.firstUsedAt || null,
+      lastUsedAt: summary?.lastUsedAt || null
+    }
+  }
+
+  // Thoughts with the tag (and their hearts) per period, oldest first
+  async summarizeTagActivity(tag, { interval = 'day', since, until } = {}) {
+    const rows = await Thought.aggregate([
+      { $match: buildThoughtFilter({ tag, since, until }) },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: PERIOD_FORMATS[interval],
+              date: '$createdAt',
+              timezone: 'UTC'
+            }
+          },
+          thoughtCount: { $sum: 1 },
+          hearts: { $sum: '$hearts' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+
+    return rows.map(({ _id, ...counts }) => ({ period: _id, ...counts }))
+  }
+
+  // Tags most often seen on the same thoughts as this one
+  async listRelatedTags(tag, { limit = 10 } = {}) {
+    const rows = await Thought.aggregate([
+      { $match: { tags: tag, ...VISIBLE } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $type: 'string', $nin: ['', tag] } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ])
+
+    return rows.map((row) => ({ tag: row._id, count: row.count }))
+  }
+
+  // Merges a tag into another one, returns how many thoughts changed
+  async renameTag(from, to) {
+    const tagged = await Thought.find({ tags: from }).distinct('_id')
+    if (!tagged.length) return 0
+
+    // A field can't be pushed to and pulled from in the same update
+    await Thought.updateMany(
+      { _id: { $in: tagged } },
+      { $addToSet: { tags: to, themeTags: to } }
+    )
+    await Thought.updateMany(
+      { _id: { $in: tagged } },
+      { $pull: { tags: from, themeTags: from } }
+    )
+    return tagged.length
+  }
+
+  async removeTag(tag) {
+    const result = await Thought.updateMany(
+      { tags: tag },
+      { $pull: { tags: tag, themeTags: tag } }
+    )
+    return result.modifiedCount
+  }
+
+  async findThoughtsLikedBy(userId) {
+    const docs = await Thought.find({ likes: userId, ...VISIBLE })
+      .sort({ createdAt: -1 })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainThought)
+  }
+
+  // Every thought's tags in _id order, a batch at a time (for re-tagging)
+  async listThoughtTagBatch({ afterId = null, limit = 200 } = {}) {
+    const docs = await Thought.find(afterId ? { _id: { $gt: afterId } } : {})
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select('message tags themeTags')
+      .lean()
+
+    return docs.map((doc) => ({ ...doc, _id: doc._id.toString() }))
+  }
+
+  // [{ id, tags, themeTags }], without touching anything else
+  async setThoughtTags(updates) {
+    if (!updates.length) return 0
+
+    const result = await Thought.bulkWrite(
+      updates.map(({ id, tags, themeTags }) => ({
+        updateOne: { filter: { _id: id }, update: { tags, themeTags } }
+      }))
+    )
+    return result.modifiedCount
+  }
+
+  // Thoughts from before sentiment was scored, in _id order a batch at a time
+  async listUnscoredThoughts({ afterId = null, limit = 200 } = {}) {
+    const docs = await Thought.find({
+      mood: { $exists: false },
+      ...(afterId ? { _id: { $gt: afterId } } : {})
+    })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select('message')
+      .lean()
+
+    return docs.map((doc) => ({ ...doc, _id: doc._id.toString() }))
+  }
+
+  // [{ id, sentiment, mood }], without touching anything else
+  async setThoughtSentiments(updates) {
+    if (!updates.length) return 0
+
+    const result = await Thought.bulkWrite(
+      updates.map(({ id, sentiment, mood }) => ({
+        updateOne: { filter: { _id: id }, update: { sentiment, mood } }
+      }))
+    )
+    return result.modifiedCount
+  }
+
+  // Mood counts and average sentiment per period, oldest period first
+  async summarizeMoods({ interval = 'day', filters = {} } = {}) {
+    const rows = await Thought.aggregate([
+      { $match: { ...buildThoughtFilter(filters), mood: { $in: MOODS } } },
+      {
+        $group: {
+          _id: {
+            period: {
+              $dateToString: {
+                format: PERIOD_FORMATS[interval],
+                date: '$createdAt',
+                timezone: 'UTC'
+              }
+            },
+            mood: '$mood'
+          },
+          count: { $sum: 1 },
+          sentimentSum: { $sum: '$sentiment' }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ])
+
+    return rows.map(({ _id, count, sentimentSum }) => ({
+      period: _id.period,
+      mood: _id.mood,
+      count,
+      sentimentSum
+    }))
+  }
+
+  // includeHidden lets authors see their own hidden thoughts
+  async listThoughtsByUser(
+    userId,
+    { skip = 0, limit = 10, includeHidden = false } = {}
+  ) {
+    const docs = await Thought.find({
+      user: userId,
+      isAnonymous: { $ne: true },
+      ...(includeHidden ? {} : VISIBLE)
+    })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainThought)
+  }
+
+  async countThoughtsByUser(userId, { includeHidden = false } = {}) {
+    return Thought.countDocuments({
+      user: userId,
+      isAnonymous: { $ne: true },
+      ...(includeHidden ? {} : VISIBLE)
+    })
+  }
+
+  async getUserStats(userId, { topTagLimit = 5 } = {}) {
+    const match = {
+      user: new mongoose.Types.ObjectId(userId),
+      isAnonymous: { $ne: true },
+      ...VISIBLE
+    }
+
+    const [[summary], topTags] = await Promise.all([
+      Thought.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            thoughtCount: { $sum: 1 },
+            heartsReceived: { $sum: '$hearts' }
+          }
+        }
+      ]),
+      Thought.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: topTagLimit }
+      ])
+    ])
+
+    return {
+      thoughtCount: summary?.thoughtCount || 0,
+      heartsReceived: summary?.heartsReceived || 0,
+      topTags: topTags.map((row) => ({ tag: row._id, count: row.count }))
+    }
+  }
+
+  async searchThoughts(query, filters = {}, { skip = 0, limit = 10 } = {}) {
+    const filter = { ...buildThoughtFilter(filters), $text: { $search: query } }
+
+    const [docs, total] = await Promise.all([
+      Thought.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', USER_FIELDS)
+        .lean(),
+      Thought.countDocuments(filter)
+    ])
+
+    return { thoughts: docs.map(toPlainThought), total }
+  }
+
+  async importThoughts(thoughts) {
+    const result = await Thought.insertMany(thoughts)
+    return result.length
+  }
+
+  // Comments
+
+  async listComments(thoughtId, { skip = 0, limit = 10 } = {}) {
+    const docs = await Comment.find({ thought: thoughtId, parent: null })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainComment)
+  }
+
+  async countComments(thoughtId) {
+    return Comment.countDocuments({ thought: thoughtId, parent: null })
+  }
+
+  async listReplies(parentIds) {
+    const docs = await Comment.find({ parent: { $in: parentIds } })
+      .sort({ createdAt: 1 })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return docs.map(toPlainComment)
+  }
+
+  async countCommentsByThought(thoughtIds) {
+    const ids = thoughtIds.map((id) => new mongoose.Types.ObjectId(id))
+    const rows = await Comment.aggregate([
+      { $match: { thought: { $in: ids } } },
+      { $group: { _id: '$thought', count: { $sum: 1 } } }
+    ])
+
+    return Object.fromEntries(
+      rows.map((row) => [row._id.toString(), row.count])
+    )
+  }
+
+  async findCommentById(id) {
+    const doc = await Comment.findById(id).populate('user', USER_FIELDS).lean()
+    return toPlainComment(doc)
+  }
+
+  async createComment(data) {
+    const created = await Comment.create(data)
+    return this.findCommentById(created._id)
+  }
+
+  async updateComment(id, changes) {
+    const doc = await Comment.findByIdAndUpdate(id, changes, {
+      new: true,
+      runValidators: true
+    })
+      .populate('user', USER_FIELDS)
+      .lean()
+
+    return toPlainComment(doc)
+  }
+
+  // Every comment's tags in _id order, a batch at a time (for re-tagging)
+  async listCommentTagBatch({ afterId = null, limit = 200 } = {}) {
+    const docs = await Comment.find(afterId ? { _id: { $gt: afterId } } : {})
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select('message tags')
+      .lean()
+
+    return docs.map((doc) => ({ ...doc, _id: doc._id.toString() }))
+  }
+
+  // [{ id, tags }]; re-tagging doesn't count as an edit, so updatedAt stays
+  async setCommentTags(updates) {
+    if (!updates.length) return 0
+
+    const result = await Comment.bulkWrite(
+      updates.map(({ id, tags }) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { tags },
+          timestamps: false
+        }
+      }))
+    )
+    return result.modifiedCount
+  }
+
+  async deleteComment(id) {
+    const doc = await Comment.findByIdAndDelete(id).lean()
+    if (doc) {
+      // Replies go with their parent
+      await Comment.deleteMany({ parent: doc._id })
+    }
+    return toPlainComment(doc)
+  }
+
+  // Users
+
+  async findUserById(id) {
+    const doc = await User.findById(id).lean()
+    return toPlainUser(doc)
+  }
+
+  async findUserByUsername(username, { includePassword = false } = {}) {
+    const doc = await User.findOne({ username }).lean()
+    return toPlainUser(doc, includePassword)
+  }
+
+  async findUserByEmail(email) {
+    const doc = await User.findOne({ email: email.toLowerCase() }).lean()
+    return toPlainUser(doc)
+  }
+
+  async createUser({ username, password, email }) {
+    // The pre('save') hook on the User model hashes the password
+    const user = new User({ username, password, ...(email ? { email } : {}) })
+    await user.save()
+    return toPlainUser(user.toObject())
+  }
+
+  async setUserPassword(id, password) {
+    const user = await User.findById(id)
+    if (!user) return null
+
+    // Saving (not updating) so the pre('save') hook re-hashes it
+    user.password = password
+    await user.save()
+    return toPlainUser(user.toObject())
+  }
+
+  // Reports
+
+  // Null when this reporter already reported the thought
+  async createReport(data) {
+    try {
+      const report = await Report.create(data)
+      return report.toObject()
+    } catch (error) {
+      if (error.code === 11000) return null
+      throw error
+    }
+  }
+
+  async countOpenReports(thoughtId) {
+    return Report.countDocuments({ thought: thoughtId, status: 'open' })
+  }
+
+  // { thoughtId: { reason: count } } for the open reports of each thought
+  async summarizeOpenReports(thoughtIds) {
+    const ids = thoughtIds.map((id) => new mongoose.Types.ObjectId(id))
+    const rows = await Report.aggregate([
+      { $match: { thought: { $in: ids }, status: 'open' } },
+      {
+        $group: {
+          _id: { thought: '$thought', reason: '$reason' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+
+    const summary = {}
+    for (const { _id, count } of rows) {
+      const thoughtId = _id.thought.toString()
+      summary[thoughtId] = { ...summary[thoughtId], [_id.reason]: count }
+    }
+    return summary
+  }
+
+  async resolveReports(thoughtId, { status, resolvedBy }) {
+    const result = await Report.updateMany(
+      { thought: thoughtId, status: 'open' },
+      { status, resolvedBy, resolvedAt: new Date() }
+    )
+    return result.modifiedCount
+  }
+
+  // Follows
+
+  async follow(followerId, followingId) {
+    const result = await Follow.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    )
+    return result.upsertedCount > 0
+  }
+
+  async unfollow(followerId, followingId) {
+    const result = await Follow.deleteOne({
+      follower: followerId,
+      following: followingId
+    })
+    return result.deletedCount > 0
+  }
+
+  async isFollowing(followerId, followingId) {
+    return Boolean(
+      await Follow.exists({ follower: followerId, following: followingId })
+    )
+  }
+
+  async listFollowers(userId, { skip = 0, limit = 10 } = {}) {
+    const docs = await Follow.find({ following: userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('follower', PROFILE_FIELDS)
+      .lean()
+
+    return docs
+      .filter((doc) => doc.follower)
+      .map((doc) => ({
+        user: toPlainUser(doc.follower),
+        followedAt: doc.createdAt
+      }))
+  }
+
+  async listFollowing(userId, { skip = 0, limit = 10 } = {}) {
+    const docs = await Follow.find({ follower: userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('following', PROFILE_FIELDS)
+      .lean()
+
+    return docs
+      .filter((doc) => doc.following)
+      .map((doc) => ({
+        user: toPlainUser(doc.following),
+        followedAt: doc.createdAt
+      }))
+  }
+
+  async countFollowers(userId) {
+    return Follow.countDocuments({ following: userId })
+  }
+
+  async countFollowing(userId) {
+    return Follow.countDocuments({ follower: userId })
+  }
+
+  async listFollowingIds(userId) {
+    const ids = await Follow.distinct('following', { follower: userId })
+    return ids.map((id) => id.toString())
+  }
+
+  async updateUser(id, changes) {
+    const doc = await User.findByIdAndUpdate(id, changes, {
+      new: true,
+      runValidators: true
+    }).lean()
+    return toPlainUser(doc)
+  }
+
+  // Sessions
+
+  async createSession(data) {
+    const session = await Session.create(data)
+    return toPlainSession(session.toObject())
+  }
+
+  async findSessionById(id) {
+    return toPlainSession(await Session.findById(id).lean())
+  }
+
+  // Matches the current or the rotated-out refresh token
+  async findSessionByTokenHash(tokenHash) {
+    const doc = await Session.findOne({
+      $or: [{ tokenHash }, { previousTokenHash: tokenHash }]
+    }).lean()
+    return toPlainSession(doc)
+  }
+
+  // Only rotates if nobody else rotated the same token first
+  async rotateSession(id, currentTokenHash, changes) {
+    const doc = await Session.findOneAndUpdate(
+      { _id: id, tokenHash: currentTokenHash, revokedAt: null },
+      changes,
+      { new: true }
+    ).lean()
+    return toPlainSession(doc)
+  }
+
+  async revokeSession(id) {
+    await Session.updateOne(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() }
+    )
+  }
+
+  async revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+    const result = await Session.updateMany(
+      {
+        user: userId,
+        revokedAt: null,
+        ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {})
+      },
+      { revokedAt: new Date() }
+    )
+    return result.modifiedCount
+  }
+
+  // Password resets
+
+  async createPasswordReset(data) {
+    const reset = await PasswordReset.create(data)
+    const { _id, user, ...rest } = reset.toObject()
+    return { ...rest, _id: _id.toString(), user: user.toString() }
+  }
+
+  async findPasswordResetByTokenHash(tokenHash) {
+    const doc = await PasswordReset.findOne({ tokenHash }).lean()
+    if (!doc) return null
+    return { ...doc, _id: doc._id.toString(), user: doc.user.toString() }
+  }
+
+  // Marks a token used; false when it was already used (single use)
+  async consumePasswordReset(id) {
+    const result = await PasswordReset.updateOne(
+      { _id: id, usedAt: null },
+      { usedAt: new Date() }
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Tag taxonomy
+
+  async listTagCategories() {
+    const docs = await TagCategory.find().sort({ name: 1 }).lean()
+    return docs.map(toPlainTagCategory)
+  }
+
+  async findTagCategory(name) {
+    const doc = await TagCategory.findOne({ name }).lean()
+    return toPlainTagCategory(doc)
+  }
+
+  async createTagCategory(data) {
+    const category = await TagCategory.create(data)
+    return toPlainTagCategory(category.toObject({ flattenMaps: true }))
+  }
+
+  async updateTagCategory(name, changes) {
+    const doc = await TagCategory.findOneAndUpdate({ name }, changes, {
+      new: true,
+      runValidators: true
+    }).lean()
+    return toPlainTagCategory(doc)
+  }
+
+  async deleteTagCategory(name) {
+    const doc = await TagCategory.findOneAndDelete({ name }).lean()
+    return toPlainTagCategory(doc)
+  }
+
+  async importTagCategories(categories) {
+    const docs = await TagCategory.insertMany(categories)
+    return docs.length
+  }
+
+  // Webhooks
+
+  async listWebhooks() {
+    const docs = await Webhook.find().sort({ createdAt: 1 }).lean()
+    return docs.map(toPlainWebhook)
+  }
+
+  // Active webhooks subscribed to an event
+  async listWebhooksForEvent(event) {
+    const docs = await Webhook.find({ active: true, events: event }).lean()
+    return docs.map(toPlainWebhook)
+  }
+
+  async findWebhookById(id) {
+    const doc = await Webhook.findById(id).lean()
+    return toPlainWebhook(doc)
+  }
+
+  async createWebhook(data) {
+    const webhook = await Webhook.create(data)
+    return toPlainWebhook(webhook.toObject())
+  }
+
+  async updateWebhook(id, changes) {
+    const doc = await Webhook.findByIdAndUpdate(id, changes, {
+      new: true,
+      runValidators: true
+    }).lean()
+    return toPlainWebhook(doc)
+  }
+
+  async deleteWebhook(id) {
+    const doc = await Webhook.findByIdAndDelete(id).lean()
+    if (doc) {
+      await WebhookDelivery.deleteMany({ webhook: doc._id })
+    }
+    return toPlainWebhook(doc)
+  }
+
+  async createDelivery(data) {
+    const delivery = await WebhookDelivery.create(data)
+    return toPlainDelivery(delivery.toObject())
+  }
+
+  async findDeliveryById(id) {
+    const doc = await WebhookDelivery.findById(id).lean()
+    return toPlainDelivery(doc)
+  }
+
+  // Records an attempt along with the changes it leads to
+  async recordDeliveryAttempt(id, attempt, changes) {
+    const doc = await WebhookDelivery.findByIdAndUpdate(
+      id,
+      { $push: { attempts: attempt }, $set: changes },
+      { new: true }
+    ).lean()
+    return toPlainDelivery(doc)
+  }
+
+  // Newest first
+  async listDeliveries(webhookId, { skip = 0, limit = 20 } = {}) {
+    const docs = await WebhookDelivery.find({ webhook: webhookId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+    return docs.map(toPlainDelivery)
+  }
+
+  async countDeliveries(webhookId) {
+    return WebhookDelivery.countDocuments({ webhook: webhookId })
+  }
+
+  // Pending deliveries whose next attempt is due, oldest first
+  async listDueDeliveries(now = new Date(), { limit = 50 } = {}) {
+    const docs = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: now }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .lean()
+    return docs.map(toPlainDelivery)
+  }
+}
+
+export default MongoStorage
@@ -0,0 +1,51 @@
+/**
+ * Cursor Utilities
+ * Purpose: Encodes and decodes opaque keyset pagination cursors for thought lists.
+ * Usage: Imported by services that page through thoughts without skip/limit.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { ValidationError } from './errors.js'
+
+export const SORT_OPTIONS = ['newest', 'oldest', 'hearts']
+
+/**
+ * Cursor pointing just past the given thought in the given sort order
+ */
+export const encodeCursor = (thought, sort = 'newest') =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      c: new Date(thought.createdAt).toISOString(),
+      i: thought._id,
+      h: thought.hearts || 0
+    })
+  ).toString('base64url')
+
+/**
+ * Decodes a cursor, rejecting tampered ones and cursors from another sort
+ */
+export const decodeCursor = (cursor, sort = 'newest') => {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString())
+  } catch {
+    throw new ValidationError('Invalid cursor')
+  }
+
+  const createdAt = new Date(payload?.c)
+  if (
+    !payload?.i ||
+    Number.isNaN(createdAt.getTime()) ||
+    typeof payload.h !== 'number'
+  ) {
+    throw new ValidationError('Invalid cursor')
+  }
+
+  if (payload.s !== sort) {
+    throw new ValidationError('Cursor does not match the requested sort order')
+  }
+
+  return { sort, createdAt, id: String(payload.i), hearts: payload.h }
+}
@@ -3,75 +3,215 @@
  * Purpose: Defines custom error classes and helpers for error handling.
  * Usage: Imported by controllers/services for consistent error management.
  * Author: Linda Schonfeldt
- * Last Updated: September 2, 2025
+ * Last Updated: October 19, 2026
  */
 
+import { STATUS_CODES } from 'http'
+
+// Problem types are documented under this base (see the README)
+const PROBLEM_TYPE_BASE = '/problems/'
+
+// THOUGHT_NOT_FOUND -> thought-not-found
+const slugOf = (code) => code.toLowerCase().replace(/_/g, '-')
+
+const hasDetails = (details) =>
+  Boolean(details) && Object.keys(details).length > 0
+
 export class ApiError extends Error {
   constructor(
     message,
     statusCode = 500,
-    publicMessage = 'An unexpected error occurred'
+    publicMessage = 'An unexpected error occurred',
+    code = 'INTERNAL_ERROR'
   ) {
     super(message)
     this.statusCode = statusCode
     this.publicMessage = publicMessage
+    this.code = code
+    this.details = null
     this.name = this.constructor.name
   }
 
-  toJSON() {
+  /**
+   * The JSON error body: { success, response, message, code, details? }.
+   * `response` carries the internal message and is left out in production.
+   */
+  toJSON({ exposeMessage = true } = {}) {
     return {
       success: false,
+      response: exposeMessage ? this.message : null,
       message: this.publicMessage,
-      error: this.message
+      code: this.code,
+      ...(hasDetails(this.details) ? { details: this.details } : {})
+    }
+  }
+
+  /**
+   * The same error as an RFC 7807 problem document
+   */
+  toProblem({ instance } = {}) {
+    return {
+      type: `${PROBLEM_TYPE_BASE}${slugOf(this.code)}`,
+      title: STATUS_CODES[this.statusCode] || 'Error',
+      status: this.statusCode,
+      detail: this.publicMessage,
+      code: this.code,
+      ...(instance ? { instance } : {}),
+      ...(hasDetails(this.details) ? { details: this.details } : {})
     }
   }
 }
 
+// "Tag category" -> TAG_CATEGORY_NOT_FOUND
 export class NotFoundError extends ApiError {
   constructor(resource = 'Resource') {
     super(
       `${resource} not found`,
       404,
-      `The requested ${resource.toLowerCase()} could not be found`
+      `The requested ${resource.toLowerCase()} could not be found`,
+      `${resource.toUpperCase().replace(/\W+/g, '_')}_NOT_FOUND`
     )
   }
 }
 
+/**
+ * 400 with per-field problems in `details`, e.g. { message: 'is required' }
+ */
 export class ValidationError extends ApiError {
-  constructor(message = 'Validation failed', details = {}) {
-    super(`Validation error: ${message}`, 400, message)
+  constructor(
+    message = 'Validation failed',
+    details = {},
+    code = 'VALIDATION_FAILED'
+  ) {
+    super(`Validation error: ${message}`, 400, message, code)
     this.details = details
   }
+}
 
-  toJSON() {
-    return {
-      success: false,
-      message: this.publicMessage,
-      error: this.message,
-      details: this.details
-    }
+export class ConflictError extends ApiError {
+  constructor(
+    message = 'Resource already exists',
+    details = {},
+    code = 'CONFLICT'
+  ) {
+    super(`Conflict: ${message}`, 409, message, code)
+    this.details = details
   }
 }
 
 export class DatabaseError extends ApiError {
-  constructor(operation = 'database operation', details = null) {
+  constructor(operation = 'database operation') {
     super(
       `Database error during ${operation}`,
       500,
-      `Something went wrong with our database`
+      `Something went wrong with our database`,
+      'DATABASE_ERROR'
     )
-    this.details = details
   }
 }
 
 export class AuthenticationError extends ApiError {
-  constructor(message = 'Authentication required') {
-    super(`Authentication error: ${message}`, 401, message)
+  constructor(
+    message = 'Authentication required',
+    code = 'AUTHENTICATION_REQUIRED'
+  ) {
+    super(`Authentication error: ${message}`, 401, message, code)
   }
 }
 
 export class AuthorizationError extends ApiError {
-  constructor(message = 'You do not have permission to perform this action') {
-    super(`Authorization error: ${message}`, 403, message)
+  constructor(
+    message = 'You do not have permission to perform this action',
+    code = 'FORBIDDEN'
+  ) {
+    super(`Authorization error: ${message}`, 403, message, code)
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(retryAfter = 60) {
+    super(
+      `Rate limit exceeded, retry in ${retryAfter}s`,
+      429,
+      'Too many requests, please try again later',
+      'RATE_LIMITED'
+    )
+    this.retryAfter = retryAfter
+  }
+}
+
+export class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Service Unavailable') {
+    super(
+      message,
+      503,
+      'The service is temporarily unavailable',
+      'SERVICE_UNAVAILABLE'
+    )
+  }
+}
+
+// Mongoose reports a malformed id or number as a CastError
+const fromCastError = (err) => {
+  const expected = err.kind === 'ObjectId' ? 'id' : err.kind
+  return new ValidationError(
+    `${err.path} must be a valid ${expected}`,
+    { [err.path]: `must be a valid ${expected}` },
+    'INVALID_VALUE'
+  )
+}
+
+// Schema validation failures (required, enum, maxlength, ...), one per path
+const fromMongooseValidation = (err) => {
+  const details = Object.fromEntries(
+    Object.values(err.errors).map(({ path, message }) => [path, message])
+  )
+  const [first] = Object.values(details)
+  return new ValidationError(first || 'Validation failed', details)
+}
+
+// A unique index rejected the write, e.g. { username: 'alice' }
+const fromDuplicateKey = (err) => {
+  const fields = Object.keys(err.keyValue || err.keyPattern || {})
+  const details = Object.fromEntries(
+    fields.map((field) => [field, 'is already taken'])
+  )
+  return new ConflictError(
+    fields.length
+      ? `${fields.join(', ')} is already taken`
+      : 'Resource already exists',
+    details,
+    'DUPLICATE_KEY'
+  )
+}
+
+/**
+ * Turns any thrown error into an ApiError: our own errors pass through,
+ * Mongoose and body parser errors become 400/409, the rest a 500.
+ */
+export const toApiError = (err) => {
+  if (err instanceof ApiError) return err
+
+  if (err?.name === 'CastError') return fromCastError(err)
+  if (err?.name === 'ValidationError' && err.errors) {
+    return fromMongooseValidation(err)
+  }
+  if (err?.code === 11000) return fromDuplicateKey(err)
+  if (err?.type === 'entity.parse.failed') {
+    return new ValidationError(
+      'Request body is not valid JSON',
+      {},
+      'INVALID_JSON'
+    )
   }
+  if (err?.type === 'entity.too.large') {
+    return new ApiError(
+      err.message,
+      413,
+      'Request body is too large',
+      'PAYLOAD_TOO_LARGE'
+    )
+  }
+
+  return new ApiError(err?.message || String(err))
 }
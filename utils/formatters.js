@@ -0,0 +1,46 @@
+/**
+ * Response Formatters
+ * Purpose: Shapes stored records into the payloads the frontend expects.
+ * Usage: Imported by controllers before sending thoughts in a response.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { countReactions, reactionOf } from './reactions.js'
+import { analyzeSentiment } from './sentiment.js'
+import { identifyTags } from './tagging.js'
+
+/**
+ * Who is looking: a logged-in user, an anonymous client, or nobody
+ */
+export const viewerOf = (req) => ({
+  userId: req.user?.userId || null,
+  clientId: req.clientId || null
+})
+
+// Shape a stored thought for the frontend (flat userId/username, themeTags,
+// sentiment/mood, reaction counts and the viewer's own reaction). Who hid a thought and how
+// often it was reported is left to moderators, and anonymous client ids are
+// never sent back out.
+export const formatThought = (thought, viewer = null) => {
+  const { user, hiddenBy, reportCount, anonymousLikes, reactions, ...plain } =
+    thought
+
+  if (!plain.themeTags?.length) {
+    plain.themeTags = plain.tags?.length
+      ? [...plain.tags]
+      : identifyTags(plain.message)
+  }
+
+  // Thoughts not scored yet (the startup backfill is still running)
+  if (!plain.mood) {
+    Object.assign(plain, analyzeSentiment(plain.message))
+  }
+
+  plain.userId = user?._id || null
+  plain.username = user?.username || null
+  plain.reactionCounts = countReactions(thought)
+  plain.myReaction = viewer ? reactionOf(thought, viewer) : null
+
+  return plain
+}
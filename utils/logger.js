@@ -0,0 +1,110 @@
+/**
+ * Logger
+ * Purpose: Leveled logging with JSON lines in production and readable lines in development; secrets are redacted.
+ * Usage: logger.info('Message', { fields }); req.log is a child logger that adds the request ID.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const isProduction = process.env.NODE_ENV === 'production'
+
+// LOG_LEVEL=debug|info|warn|error, LOG_FORMAT=json|pretty
+const minLevel =
+  LEVELS[process.env.LOG_LEVEL] ?? (isProduction ? LEVELS.info : LEVELS.debug)
+const format = process.env.LOG_FORMAT || (isProduction ? 'json' : 'pretty')
+
+// Field names whose values never reach the logs
+const SENSITIVE_KEY_PATTERN =
+  /password|passwd|token|secret|authorization|cookie|api[-_]?key/i
+
+const REDACTED = '[REDACTED]'
+
+// Errors don't serialize on their own; keep what helps debugging
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+  stack: error.stack
+})
+
+/**
+ * Copies a value with sensitive fields replaced, e.g. { password: 'x' }
+ * becomes { password: '[REDACTED]' }. Nesting is followed a few levels deep.
+ */
+export const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value)
+  if (value === null || typeof value !== 'object') return value
+  if (value instanceof Date) return value
+  if (depth >= 5) return '[Object]'
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1))
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1)
+    ])
+  )
+}
+
+// Reset tokens travel in the path; token-like query parameters are hidden too
+export const redactUrl = (url) => {
+  const [path, query] = url.split('?')
+  const safePath = path.replace(/(\/password-reset\/)[^/]+/, `$1${REDACTED}`)
+  if (!query) return safePath
+
+  const safeQuery = query
+    .split('&')
+    .map((pair) => {
+      const [key] = pair.split('=')
+      return SENSITIVE_KEY_PATTERN.test(key) ? `${key}=${REDACTED}` : pair
+    })
+    .join('&')
+  return `${safePath}?${safeQuery}`
+}
+
+const COLORS = { debug: 90, info: 36, warn: 33, error: 31 }
+
+const formatPretty = ({ time, level, message, ...fields }) => {
+  const { error, ...rest } = fields
+  const label = `\x1b[${COLORS[level]}m${level.toUpperCase().padEnd(5)}\x1b[0m`
+  const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : ''
+  const stack = error?.stack ? `\n${error.stack}` : ''
+  return `${time.slice(11, 23)} ${label} ${message}${extra}${stack}`
+}
+
+const write = (level, message, fields) => {
+  if (LEVELS[level] < minLevel) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...redact(fields)
+  }
+  const line = format === 'json' ? JSON.stringify(entry) : formatPretty(entry)
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${line}\n`)
+  } else {
+    process.stdout.write(`${line}\n`)
+  }
+}
+
+// { debug, info, warn, error }(message, fields) plus child(fields), which
+// returns a logger that adds those fields to every entry, e.g. { requestId }
+const createLogger = (baseFields = {}) => ({
+  ...Object.fromEntries(
+    Object.keys(LEVELS).map((level) => [
+      level,
+      (message, fields) => write(level, message, { ...baseFields, ...fields })
+    ])
+  ),
+  child: (fields) => createLogger({ ...baseFields, ...fields })
+})
+
+export const logger = createLogger()
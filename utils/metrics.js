@@ -0,0 +1,203 @@
+/**
+ * Metrics
+ * Purpose: In-process counters, gauges and histograms, rendered in the Prometheus text format.
+ * Usage: Update the metrics exported below where things happen; GET /metrics serves renderMetrics().
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// Seconds; covers fast cache hits up to slow aggregations
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+]
+
+const registry = []
+
+// Label values are quoted, with \, " and newlines escaped
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  )
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+// One series per combination of label values, in labelNames order
+const keyOf = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')))
+
+const labelsOf = (labelNames, key) => {
+  const values = JSON.parse(key)
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]))
+}
+
+const register = (metric) => {
+  registry.push(metric)
+  return metric
+}
+
+/**
+ * A value that only goes up, e.g. requests served
+ */
+export const counter = ({ name, help, labelNames = [] }) => {
+  const values = new Map()
+  // Without labels there is one series, reported as 0 until it counts
+  if (!labelNames.length) values.set(keyOf(labelNames, {}), 0)
+
+  return register({
+    inc(labels = {}, amount = 1) {
+      const key = keyOf(labelNames, labels)
+      values.set(key, (values.get(key) || 0) + amount)
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`]
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelsOf(labelNames, key))} ${value}`)
+      }
+      return lines
+    }
+  })
+}
+
+/**
+ * A value that is set, or read by `collect` when metrics are rendered
+ */
+export const gauge = ({ name, help, labelNames = [], collect }) => {
+  const values = new Map()
+
+  const metric = register({
+    set(labels, value) {
+      values.set(keyOf(labelNames, labels), value)
+    },
+    render() {
+      collect?.(metric)
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`]
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelsOf(labelNames, key))} ${value}`)
+      }
+      return lines
+    }
+  })
+  return metric
+}
+
+/**
+ * Observations counted into cumulative buckets, e.g. request durations
+ */
+export const histogram = ({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS
+}) => {
+  const series = new Map()
+
+  return register({
+    observe(labels, value) {
+      const key = keyOf(labelNames, labels)
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 })
+      }
+
+      const entry = series.get(key)
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1
+      })
+      entry.sum += value
+      entry.count += 1
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`]
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = labelsOf(labelNames, key)
+        buckets.forEach((bound, i) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+          )
+        })
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`
+        )
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`)
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`)
+      }
+      return lines
+    }
+  })
+}
+
+export const secondsSince = (startedAt) =>
+  Number(process.hrtime.bigint() - startedAt) / 1e9
+
+/**
+ * Every registered metric in the Prometheus text exposition format
+ */
+export const renderMetrics = () =>
+  `${registry.flatMap((metric) => metric.render()).join('\n')}\n`
+
+// HTTP
+export const httpRequests = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status']
+})
+
+export const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status']
+})
+
+// Storage
+export const dbOperationDuration = histogram({
+  name: 'db_operation_duration_seconds',
+  help: 'Storage operation latency by operation and storage mode',
+  labelNames: ['operation', 'storage']
+})
+
+export const dbOperationFailures = counter({
+  name: 'db_operation_failures_total',
+  help: 'Storage operations that threw, by operation and storage mode',
+  labelNames: ['operation', 'storage']
+})
+
+export const storageMode = gauge({
+  name: 'storage_mode',
+  help: 'Active storage backend (1 for the mode in use)',
+  labelNames: ['mode']
+})
+
+// Activity
+export const thoughtsCreated = counter({
+  name: 'thoughts_created_total',
+  help: 'Thoughts created'
+})
+
+export const heartsGiven = counter({
+  name: 'hearts_given_total',
+  help: 'Hearts (likes) given to thoughts'
+})
+
+export const authFailures = counter({
+  name: 'auth_failures_total',
+  help: 'Failed authentications by error code',
+  labelNames: ['code']
+})
+
+// Process
+gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: (metric) => metric.set({}, process.uptime())
+})
+
+gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (metric) => metric.set({}, process.memoryUsage().rss)
+})
@@ -0,0 +1,40 @@
+/**
+ * Password Rules
+ * Purpose: Single place for the password policy (length, letter and number).
+ * Usage: Used wherever a password is set: signup, password change and reset, and the User schema.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { ValidationError } from './errors.js'
+
+export const PASSWORD_MIN_LENGTH = 6
+export const PASSWORD_MAX_LENGTH = 128
+
+export const hasLetterAndNumber = (password) =>
+  /[a-zA-Z]/.test(password) && /\d/.test(password)
+
+/**
+ * Throws a ValidationError unless the password follows the policy
+ */
+export const assertValidPassword = (password, field = 'Password') => {
+  if (typeof password !== 'string' || !password) {
+    throw new ValidationError(`${field} is required`)
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    throw new ValidationError(
+      `${field} must be at least ${PASSWORD_MIN_LENGTH} characters long`
+    )
+  }
+
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    throw new ValidationError(
+      `${field} cannot exceed ${PASSWORD_MAX_LENGTH} characters`
+    )
+  }
+
+  if (!hasLetterAndNumber(password)) {
+    throw new ValidationError(`${field} must contain a number and a letter`)
+  }
+}
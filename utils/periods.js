@@ -0,0 +1,90 @@
+/**
+ * Period Utilities
+ * Purpose: Groups dates into day, week and month periods for the time series endpoints.
+ * Usage: resolvePeriodRange() and listPeriods() in services; periodOf() in file
+ *        storage, PERIOD_FORMATS for the same keys in MongoDB aggregations.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { ValidationError } from './errors.js'
+
+export const PERIOD_INTERVALS = ['day', 'week', 'month']
+
+// $dateToString formats giving the same keys as periodOf()
+export const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// How far back a series goes without a since, in days
+const DEFAULT_RANGES = { day: 30, week: 26 * 7, month: 365 }
+
+// Longest range allowed per interval, about a year of days or ten of months
+const MAX_RANGES = { day: 366, week: 5 * 365, month: 10 * 365 }
+
+const pad = (number) => String(number).padStart(2, '0')
+
+// ISO 8601 week: weeks start on Monday and belong to the year their
+// Thursday falls in, so 2027-01-01 is in "2026-W53"
+const isoWeek = (date) => {
+  const thursday = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  )
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7))
+
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1)
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7)
+  return `${thursday.getUTCFullYear()}-W${pad(week)}`
+}
+
+/**
+ * The UTC period a date falls in: "2026-10-19", "2026-W43" or "2026-10"
+ */
+export const periodOf = (date, interval = 'day') => {
+  const day = new Date(date)
+  const month = `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}`
+
+  if (interval === 'month') return month
+  if (interval === 'week') return isoWeek(day)
+  return `${month}-${pad(day.getUTCDate())}`
+}
+
+/**
+ * Fills in a missing since/until (until defaults to now) and checks the
+ * range isn't backwards or too long for the interval
+ */
+export const resolvePeriodRange = ({
+  interval,
+  since = null,
+  until = null
+}) => {
+  const end = until || new Date()
+  const start =
+    since || new Date(end.getTime() - DEFAULT_RANGES[interval] * DAY_MS)
+
+  if (start > end) {
+    throw new ValidationError('since must be before until')
+  }
+  if (end - start > MAX_RANGES[interval] * DAY_MS) {
+    throw new ValidationError(
+      `A ${interval} series can cover at most ${MAX_RANGES[interval]} days, use a longer interval or a shorter range`
+    )
+  }
+  return { since: start, until: end }
+}
+
+/**
+ * Every period from since to until, oldest first
+ */
+export const listPeriods = ({ interval, since, until }) => {
+  const periods = new Set()
+  for (let time = since.getTime(); time < until.getTime(); time += DAY_MS) {
+    periods.add(periodOf(time, interval))
+  }
+  periods.add(periodOf(until, interval))
+  return [...periods]
+}
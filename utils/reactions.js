@@ -0,0 +1,56 @@
+/**
+ * Reaction Utilities
+ * Purpose: Defines the available reactions and reads a viewer's reaction and the counts off a thought.
+ * Usage: Imported by the thoughts service and the response formatters.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// The heart reaction is the same thing as a like; `hearts` counts it
+export const HEART = '❤️'
+
+const DEFAULT_REACTIONS = [HEART, '😂', '😮', '😢', '🎉']
+
+// REACTIONS="❤️,🔥,👏" swaps the set; the heart is always available
+const configured = process.env.REACTIONS?.split(',')
+  .map((reaction) => reaction.trim())
+  .filter(Boolean)
+
+export const REACTIONS = configured?.length
+  ? [...new Set([HEART, ...configured])]
+  : DEFAULT_REACTIONS
+
+export const isValidReaction = (reaction) => REACTIONS.includes(reaction)
+
+/**
+ * The reaction a user or anonymous client left on a thought, or null
+ */
+export const reactionOf = (
+  thought,
+  { userId = null, clientId = null } = {}
+) => {
+  if (userId && thought.likes?.includes(userId)) return HEART
+  if (clientId && thought.anonymousLikes?.includes(clientId)) return HEART
+
+  const entry = (thought.reactions || []).find(
+    (reaction) =>
+      (userId && reaction.user === userId) ||
+      (clientId && reaction.client === clientId)
+  )
+  return entry ? entry.emoji : null
+}
+
+/**
+ * Count per reaction; the heart count is the thought's `hearts`
+ */
+export const countReactions = (thought) => {
+  const counts = Object.fromEntries(REACTIONS.map((reaction) => [reaction, 0]))
+
+  for (const { emoji } of thought.reactions || []) {
+    // Reactions dropped from the set are still stored but no longer shown
+    if (emoji in counts) counts[emoji] += 1
+  }
+  counts[HEART] = thought.hearts || 0
+
+  return counts
+}
@@ -0,0 +1,20 @@
+/**
+ * Role Utilities
+ * Purpose: Defines the user roles and how they rank against each other.
+ * Usage: Imported by the User model, the requireRole middleware and the moderation service.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// Lowest to highest, every role can do what the roles before it can
+export const ROLES = ['user', 'moderator', 'admin']
+
+export const DEFAULT_ROLE = 'user'
+
+export const isValidRole = (role) => ROLES.includes(role)
+
+/**
+ * True when the user's role is the given role or ranks above it
+ */
+export const hasRole = (user, role) =>
+  ROLES.indexOf(user?.role || DEFAULT_ROLE) >= ROLES.indexOf(role)
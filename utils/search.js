@@ -0,0 +1,153 @@
+/**
+ * Search Utilities
+ * Purpose: Tokenizing, light stemming, relevance scoring and highlighting for thought search.
+ * Usage: Used by the file storage adapter for in-memory search and by the
+ *        thoughts service to build highlighted snippets for both backends.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// Words that carry no meaning in a search (MongoDB's text index drops these too)
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'at',
+  'be',
+  'but',
+  'for',
+  'i',
+  'in',
+  'is',
+  'it',
+  'my',
+  'of',
+  'on',
+  'or',
+  'so',
+  'that',
+  'the',
+  'this',
+  'to',
+  'was',
+  'with'
+])
+
+const VERB_SUFFIXES = ['ing', 'ed']
+
+// Same weights as the text index on the Thought schema
+const MESSAGE_WEIGHT = 3
+const TAG_WEIGHT = 1
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/**
+ * Very small suffix stemmer so "cooks", "cooking" and "cooked" all match "cook",
+ * "run" and "running" share a stem, and so do "love", "loves" and "loving"
+ */
+export const stem = (word) => {
+  let result = word
+
+  // Plurals first, so "mornings" and "morning" end up the same
+  if (result.length > 4 && result.endsWith('ies')) {
+    result = `${result.slice(0, -3)}i`
+  } else if (
+    result.length > 3 &&
+    result.endsWith('s') &&
+    !result.endsWith('ss')
+  ) {
+    result = result.slice(0, -1)
+  }
+
+  const suffix = VERB_SUFFIXES.find(
+    (ending) => result.endsWith(ending) && result.length - ending.length >= 3
+  )
+  if (suffix) {
+    result = result.slice(0, -suffix.length)
+
+    // "running" / "run", but "falling" stays "fall"
+    if (/([^aeiouslz])\1$/.test(result)) {
+      result = result.slice(0, -1)
+    }
+  }
+
+  // Silent e: "love" / "loved"
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1)
+  }
+
+  // "party" / "parties"
+  if (result.length > 2 && result.endsWith('y')) {
+    result = `${result.slice(0, -1)}i`
+  }
+
+  return result
+}
+
+export const tokenize = (text = '') =>
+  text.toLowerCase().match(WORD_PATTERN) || []
+
+/**
+ * Unique, stemmed search terms from a query string (stop words removed)
+ */
+export const queryTerms = (query = '') => [
+  ...new Set(
+    tokenize(query)
+      .filter((word) => !STOP_WORDS.has(word))
+      .map(stem)
+  )
+]
+
+/**
+ * Relevance score for a thought, 0 when no term matches
+ */
+export const scoreThought = (thought, terms) => {
+  const words = tokenize(thought.message).map(stem)
+  const tags = (thought.tags || []).map(stem)
+
+  let score = 0
+  for (const term of terms) {
+    score += words.filter((word) => word === term).length * MESSAGE_WEIGHT
+    score += tags.includes(term) ? TAG_WEIGHT : 0
+  }
+
+  // Favour short messages where the terms make up more of the text
+  return words.length ? score / Math.sqrt(words.length) : score
+}
+
+/**
+ * HTML-escaped snippet of the text with matching words wrapped in <mark>
+ */
+export const highlight = (text, terms, maxLength = 160) => {
+  const matches = [...text.matchAll(WORD_PATTERN)].filter((match) =>
+    terms.includes(stem(match[0].toLowerCase()))
+  )
+
+  // Centre the snippet window around the first match
+  const firstIndex = matches.length ? matches[0].index : 0
+  const start =
+    text.length <= maxLength ? 0 : Math.max(0, firstIndex - maxLength / 4)
+  const end = Math.min(text.length, start + maxLength)
+
+  let snippet = ''
+  let cursor = start
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length
+    if (match.index < start || matchEnd > end) continue
+
+    snippet += escapeHtml(text.slice(cursor, match.index))
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`
+    cursor = matchEnd
+  }
+  snippet += escapeHtml(text.slice(cursor, end))
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`
+}
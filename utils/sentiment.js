@@ -0,0 +1,141 @@
+/**
+ * Sentiment Utilities
+ * Purpose: Scores how positive a message is with a local word/emoji lexicon (no external service).
+ * Usage: analyzeSentiment(message) when a thought is created or edited; MOODS for filters.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { stem, tokenize } from './search.js'
+import { EMOJIS, ENGLISH_WORDS, SWEDISH_WORDS } from './sentimentLexicon.js'
+import { stemSwedish } from './tagging.js'
+
+export const MOODS = ['positive', 'neutral', 'negative']
+
+// Scores between these count as neutral (same cut-offs as VADER)
+const POSITIVE_THRESHOLD = 0.05
+const NEGATIVE_THRESHOLD = -0.05
+
+// Negations flip (and soften) the next few words: "not happy"
+const NEGATIONS = new Set([
+  'not',
+  'no',
+  'never',
+  'nothing',
+  'without',
+  'hardly',
+  'inte',
+  'ej',
+  'aldrig',
+  'ingen',
+  'inget',
+  'inga',
+  'utan'
+])
+const NEGATION_SCOPE = 3
+const NEGATION_FACTOR = -0.75
+
+// Intensifiers strengthen the word right after them: "very happy"
+const INTENSIFIERS = new Set([
+  'very',
+  'really',
+  'so',
+  'super',
+  'extremely',
+  'incredibly',
+  'totally',
+  'absolutely',
+  'jätte',
+  'väldigt',
+  'otroligt',
+  'riktigt',
+  'verkligen',
+  'så'
+])
+const INTENSIFIER_FACTOR = 1.5
+
+// Each "!" (up to three) adds a little weight to whichever way it leans
+const EXCLAMATION_BOOST = 0.3
+const MAX_EXCLAMATIONS = 3
+
+// Larger alpha flattens the curve; 15 is what VADER uses
+const NORMALIZATION_ALPHA = 15
+
+const WORDS = { ...ENGLISH_WORDS, ...SWEDISH_WORDS }
+
+// Stemmed lookups catch forms the lexicon doesn't list ("loving", "gladaste")
+const STEMMED_WORDS = new Map([
+  ...Object.entries(SWEDISH_WORDS).map(([word, score]) => [
+    `sv:${stemSwedish(word)}`,
+    score
+  ]),
+  ...Object.entries(ENGLISH_WORDS).map(([word, score]) => [
+    `en:${stem(word)}`,
+    score
+  ])
+])
+
+// "❤️" and "❤" count the same
+const withoutVariationSelectors = (text) => text.replace(/\uFE0F/g, '')
+
+const EMOJI_VALENCES = Object.entries(EMOJIS).map(([emoji, valence]) => [
+  withoutVariationSelectors(emoji),
+  valence
+])
+
+const valenceOf = (word) =>
+  WORDS[word] ??
+  STEMMED_WORDS.get(`en:${stem(word)}`) ??
+  STEMMED_WORDS.get(`sv:${stemSwedish(word)}`) ??
+  0
+
+// "don't" / "isn’t" become "do not" / "is not" so the negation is a word
+const expandContractions = (text) => text.replace(/n['’]t\b/gi, ' not')
+
+const moodOf = (score) => {
+  if (score >= POSITIVE_THRESHOLD) return 'positive'
+  if (score <= NEGATIVE_THRESHOLD) return 'negative'
+  return 'neutral'
+}
+
+/**
+ * Sentiment of a message: a score from -1 (negative) to 1 (positive) and
+ * the mood it falls in
+ */
+export const analyzeSentiment = (message = '') => {
+  const words = tokenize(expandContractions(message))
+  let total = 0
+  let negatedUntil = -1
+
+  words.forEach((word, index) => {
+    if (NEGATIONS.has(word)) {
+      negatedUntil = index + NEGATION_SCOPE
+      return
+    }
+
+    let valence = valenceOf(word)
+    if (!valence) return
+
+    if (INTENSIFIERS.has(words[index - 1])) valence *= INTENSIFIER_FACTOR
+    if (index <= negatedUntil) valence *= NEGATION_FACTOR
+    total += valence
+  })
+
+  const emojiText = withoutVariationSelectors(message)
+  for (const [emoji, valence] of EMOJI_VALENCES) {
+    total += (emojiText.split(emoji).length - 1) * valence
+  }
+
+  const exclamations = Math.min(
+    (message.match(/!/g) || []).length,
+    MAX_EXCLAMATIONS
+  )
+  total += Math.sign(total) * exclamations * EXCLAMATION_BOOST
+
+  const score =
+    Math.round(
+      (total / Math.sqrt(total * total + NORMALIZATION_ALPHA)) * 1000
+    ) / 1000
+
+  return { sentiment: score, mood: moodOf(score) }
+}
@@ -0,0 +1,297 @@
+/**
+ * Sentiment Lexicon
+ * Purpose: Word and emoji valences (-5 very negative to 5 very positive) for the sentiment analyzer.
+ * Usage: Imported by utils/sentiment.js; extend the lists to teach it new words.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// AFINN-style scores for common English words
+export const ENGLISH_WORDS = {
+  amazing: 5,
+  awesome: 5,
+  breathtaking: 5,
+  ecstatic: 5,
+  euphoric: 5,
+  fantastic: 5,
+  incredible: 5,
+  magnificent: 5,
+  outstanding: 5,
+  phenomenal: 5,
+  superb: 5,
+  thrilled: 5,
+  wonderful: 5,
+  adore: 4,
+  beautiful: 4,
+  blessed: 4,
+  brilliant: 4,
+  delighted: 4,
+  excellent: 4,
+  fabulous: 4,
+  glorious: 4,
+  gorgeous: 4,
+  joyful: 4,
+  joy: 4,
+  love: 4,
+  loved: 4,
+  lovely: 4,
+  marvelous: 4,
+  perfect: 4,
+  spectacular: 4,
+  stunning: 4,
+  best: 3,
+  celebrate: 3,
+  cheerful: 3,
+  cute: 3,
+  delicious: 3,
+  elated: 3,
+  excited: 3,
+  fun: 3,
+  glad: 3,
+  grateful: 3,
+  great: 3,
+  happy: 3,
+  happiness: 3,
+  hooray: 3,
+  inspired: 3,
+  proud: 3,
+  relieved: 3,
+  smile: 3,
+  smiling: 3,
+  success: 3,
+  sunshine: 3,
+  terrific: 3,
+  thankful: 3,
+  thanks: 3,
+  win: 3,
+  winner: 3,
+  yay: 3,
+  yummy: 3,
+  beloved: 2,
+  calm: 2,
+  comfortable: 2,
+  cool: 2,
+  cozy: 2,
+  enjoy: 2,
+  enjoyed: 2,
+  fine: 2,
+  fresh: 2,
+  friendly: 2,
+  good: 2,
+  heartwarming: 2,
+  hope: 2,
+  hopeful: 2,
+  kind: 2,
+  laugh: 2,
+  laughing: 2,
+  lucky: 2,
+  nice: 2,
+  peaceful: 2,
+  pleased: 2,
+  pretty: 2,
+  relaxed: 2,
+  relaxing: 2,
+  rest: 2,
+  safe: 2,
+  sweet: 2,
+  thank: 2,
+  warm: 2,
+  welcome: 2,
+  wow: 2,
+  better: 1,
+  easy: 1,
+  interesting: 1,
+  like: 1,
+  liked: 1,
+  okay: 1,
+  ok: 1,
+  productive: 1,
+  ready: 1,
+  satisfied: 1,
+  sure: 1,
+  bored: -1,
+  boring: -1,
+  busy: -1,
+  meh: -1,
+  odd: -1,
+  tired: -1,
+  weird: -1,
+  annoyed: -2,
+  annoying: -2,
+  bad: -2,
+  confused: -2,
+  difficult: -2,
+  disappointing: -2,
+  dull: -2,
+  exhausted: -2,
+  fail: -2,
+  failed: -2,
+  hard: -2,
+  hurt: -2,
+  lonely: -2,
+  lost: -2,
+  mess: -2,
+  messy: -2,
+  miss: -2,
+  missed: -2,
+  nervous: -2,
+  problem: -2,
+  sick: -2,
+  sore: -2,
+  stress: -2,
+  stressed: -2,
+  stuck: -2,
+  ugly: -2,
+  unhappy: -2,
+  upset: -2,
+  worried: -2,
+  worry: -2,
+  wrong: -2,
+  afraid: -3,
+  angry: -3,
+  anxious: -3,
+  awful: -3,
+  broke: -3,
+  broken: -3,
+  cry: -3,
+  crying: -3,
+  depressed: -3,
+  disappointed: -3,
+  fear: -3,
+  frustrated: -3,
+  frustrating: -3,
+  hate: -3,
+  hated: -3,
+  hopeless: -3,
+  horrible: -3,
+  pain: -3,
+  painful: -3,
+  sad: -3,
+  scared: -3,
+  sucks: -3,
+  terrible: -3,
+  disaster: -4,
+  disgusting: -4,
+  furious: -4,
+  heartbroken: -4,
+  miserable: -4,
+  nightmare: -4,
+  tragic: -4,
+  devastated: -5,
+  hell: -5,
+  horrific: -5,
+  worst: -5
+}
+
+// Swedish words, on the same scale
+export const SWEDISH_WORDS = {
+  fantastisk: 4,
+  fantastiskt: 4,
+  underbar: 4,
+  underbart: 4,
+  älskar: 4,
+  älska: 4,
+  lycklig: 4,
+  lyckliga: 4,
+  perfekt: 4,
+  strålande: 4,
+  glad: 3,
+  glada: 3,
+  härlig: 3,
+  härligt: 3,
+  kul: 3,
+  roligt: 3,
+  rolig: 3,
+  tacksam: 3,
+  tacksamma: 3,
+  stolt: 3,
+  stolta: 3,
+  mysig: 3,
+  mysigt: 3,
+  toppen: 3,
+  grym: 3,
+  grymt: 3,
+  bäst: 3,
+  skönt: 3,
+  jättebra: 3,
+  bra: 2,
+  fin: 2,
+  fint: 2,
+  fina: 2,
+  gott: 2,
+  god: 2,
+  trevlig: 2,
+  trevligt: 2,
+  lugn: 2,
+  hoppas: 2,
+  tack: 2,
+  vänlig: 2,
+  söt: 2,
+  okej: 1,
+  lagom: 1,
+  trött: -1,
+  tråkig: -1,
+  tråkigt: -1,
+  dålig: -2,
+  dåligt: -2,
+  ont: -2,
+  sjuk: -2,
+  stressad: -2,
+  orolig: -2,
+  jobbig: -2,
+  jobbigt: -2,
+  ensam: -2,
+  svårt: -2,
+  ledsen: -3,
+  ledsna: -3,
+  arg: -3,
+  arga: -3,
+  rädd: -3,
+  besviken: -3,
+  hatar: -3,
+  hemsk: -3,
+  hemskt: -3,
+  gråter: -3,
+  förfärlig: -4,
+  förfärligt: -4,
+  katastrof: -4,
+  värsta: -5
+}
+
+// Emojis, matched anywhere in the message
+export const EMOJIS = {
+  '😍': 3,
+  '🥰': 3,
+  '😄': 3,
+  '🎉': 3,
+  '❤️': 3,
+  '💖': 3,
+  '🤩': 3,
+  '😁': 3,
+  '😊': 2,
+  '😀': 2,
+  '😃': 2,
+  '😂': 2,
+  '👍': 2,
+  '🌈': 2,
+  '🙌': 2,
+  '🥳': 2,
+  '🙂': 1,
+  '✨': 1,
+  '☀️': 1,
+  '🤞': 1,
+  '🌸': 1,
+  '😢': -2,
+  '😤': -2,
+  '😱': -2,
+  '😞': -2,
+  '🙁': -2,
+  '😔': -2,
+  '😟': -2,
+  '😩': -2,
+  '👎': -2,
+  '😭': -3,
+  '😡': -3,
+  '💔': -3,
+  '😠': -3
+}
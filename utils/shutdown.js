@@ -0,0 +1,57 @@
+/**
+ * Graceful Shutdown
+ * Purpose: Runs the registered cleanup steps once (stop accepting requests, drain, close connections) and exits.
+ * Usage: onShutdown('name', async () => {...}) at startup; shutdown({ reason }) from signal handlers.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import { logger } from './logger.js'
+
+// After this the process exits even if a step hangs
+const SHUTDOWN_TIMEOUT_MS =
+  (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 10) * 1000
+
+const steps = []
+let shuttingDown = false
+
+/**
+ * Adds a cleanup step. Steps run one after another in the order they were
+ * added; a failing step is logged and the rest still run.
+ */
+export const onShutdown = (name, step) => {
+  steps.push({ name, step })
+}
+
+export const isShuttingDown = () => shuttingDown
+
+/**
+ * Runs every step and exits with exitCode, or with 1 when the steps take
+ * longer than SHUTDOWN_TIMEOUT_SECONDS. Later calls are ignored.
+ */
+export const shutdown = async ({ reason, exitCode = 0 }) => {
+  if (shuttingDown) return
+  shuttingDown = true
+  logger.info(`Shutting down (${reason})`)
+
+  const timeout = setTimeout(() => {
+    logger.error(
+      `Shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting`
+    )
+    process.exit(1)
+  }, SHUTDOWN_TIMEOUT_MS)
+  timeout.unref()
+
+  for (const { name, step } of steps) {
+    try {
+      await step()
+      logger.debug(`Shutdown: ${name} done`)
+    } catch (error) {
+      logger.error(`Shutdown: ${name} failed`, { error })
+    }
+  }
+
+  clearTimeout(timeout)
+  logger.info('Shutdown complete')
+  process.exit(exitCode)
+}
@@ -0,0 +1,245 @@
+/**
+ * Tagging Utilities
+ * Purpose: Tags messages by matching them against the tag taxonomy (keywords per language, and emojis).
+ * Usage: identifyTags(message) wherever a message gets tags; the taxonomy service
+ *        calls setTaxonomy() when the stored categories load or change.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import fs from 'fs'
+
+import { stem as stemEnglish, tokenize } from './search.js'
+
+// Used when no category matches
+export const FALLBACK_TAG = 'general'
+
+// Categories used until the stored taxonomy is loaded, and to seed an empty one
+export const DEFAULT_TAXONOMY = JSON.parse(
+  fs.readFileSync(new URL('../taxonomy.json', import.meta.url), 'utf8')
+)
+
+const SWEDISH_VOWELS = 'aeiouyäåö'
+
+// Light version of the Snowball Swedish stemmer's suffixes, longest first
+const SWEDISH_SUFFIXES = [
+  'heterna',
+  'hetens',
+  'anden',
+  'arnas',
+  'ernas',
+  'ornas',
+  'andes',
+  'arens',
+  'andet',
+  'heten',
+  'heter',
+  'arna',
+  'erna',
+  'orna',
+  'ande',
+  'arne',
+  'aste',
+  'aren',
+  'ades',
+  'erns',
+  'ade',
+  'are',
+  'ern',
+  'ens',
+  'het',
+  'ast',
+  'ad',
+  'en',
+  'ar',
+  'er',
+  'or',
+  'as',
+  'es',
+  'at',
+  'et',
+  'a',
+  'e'
+]
+
+// Letters a genitive/plural -s may follow
+const SWEDISH_S_ENDINGS = 'bcdfghjklmnoprtvy'
+
+// Suffixes are only removed after the first vowel + consonant (at least 3 letters)
+const swedishRegion = (word) => {
+  for (let i = 1; i < word.length; i++) {
+    if (
+      SWEDISH_VOWELS.includes(word[i - 1]) &&
+      !SWEDISH_VOWELS.includes(word[i])
+    ) {
+      return Math.max(3, i + 1)
+    }
+  }
+  return word.length
+}
+
+/**
+ * Suffix stemmer for Swedish, so "hund", "hundar" and "hundarna" all match
+ */
+export const stemSwedish = (word) => {
+  const region = swedishRegion(word)
+  let result = word
+
+  const suffix = SWEDISH_SUFFIXES.find(
+    (ending) =>
+      result.endsWith(ending) && result.length - ending.length >= region
+  )
+  if (suffix) {
+    result = result.slice(0, -suffix.length)
+  } else if (
+    result.endsWith('s') &&
+    result.length - 1 >= region &&
+    SWEDISH_S_ENDINGS.includes(result.at(-2))
+  ) {
+    result = result.slice(0, -1)
+  }
+
+  // "gott" / "god": drop a doubled consonant ending in the region
+  if (
+    ['dd', 'gd', 'nn', 'dt', 'gt', 'kt', 'tt'].some((ending) =>
+      result.endsWith(ending)
+    ) &&
+    result.length - 2 >= region
+  ) {
+    result = result.slice(0, -1)
+  }
+
+  return result
+}
+
+// Supported keyword languages. Common words tell which languages a message
+// is written in, so a Swedish keyword isn't matched inside English text.
+export const LANGUAGES = {
+  en: {
+    stem: stemEnglish,
+    markers: [
+      'the',
+      'and',
+      'is',
+      'my',
+      'to',
+      'of',
+      'it',
+      'with',
+      'was',
+      'for',
+      'this',
+      'so',
+      'are',
+      'in',
+      'on',
+      'at',
+      'that',
+      'today'
+    ]
+  },
+  sv: {
+    stem: stemSwedish,
+    markers: [
+      'och',
+      'jag',
+      'är',
+      'det',
+      'att',
+      'som',
+      'på',
+      'med',
+      'inte',
+      'har',
+      'för',
+      'till',
+      'av',
+      'en',
+      'ett',
+      'var',
+      'så',
+      'men',
+      'mig',
+      'mitt',
+      'vi',
+      'du',
+      'den',
+      'idag'
+    ]
+  }
+}
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES)
+
+// Emojis are compared without variation selectors ("🛋️" and "🛋" are the same)
+const normalizeEmoji = (text) => text.replace(/\uFE0F/g, '')
+
+// Prepare each keyword once: a phrase of stemmed words in its language
+const compileTaxonomy = (categories) =>
+  categories.map(({ name, keywords = {}, emojis = [] }) => ({
+    name,
+    phrases: Object.entries(keywords)
+      .filter(([language]) => LANGUAGES[language])
+      .flatMap(([language, terms]) =>
+        terms.map((term) => ({
+          language,
+          words: tokenize(term).map(LANGUAGES[language].stem)
+        }))
+      )
+      .filter((phrase) => phrase.words.length),
+    emojis: emojis.map(normalizeEmoji).filter(Boolean)
+  }))
+
+let taxonomy = compileTaxonomy(DEFAULT_TAXONOMY)
+
+/**
+ * Replaces the categories identifyTags matches against
+ */
+export const setTaxonomy = (categories) => {
+  taxonomy = compileTaxonomy(categories)
+}
+
+// Languages whose common words appear in the text; all of them when unsure
+const detectLanguages = (words) => {
+  const found = SUPPORTED_LANGUAGES.filter((language) =>
+    words.some((word) => LANGUAGES[language].markers.includes(word))
+  )
+  return found.length ? found : SUPPORTED_LANGUAGES
+}
+
+// Whether the phrase's words appear next to each other in words
+const containsPhrase = (words, phrase) => {
+  for (let i = 0; i <= words.length - phrase.length; i++) {
+    if (phrase.every((word, offset) => words[i + offset] === word)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Identifies theme tags for a message from whole (stemmed) keywords and
+ * emojis. Falls back to 'general' when nothing matches.
+ */
+export const identifyTags = (message = '') => {
+  const words = tokenize(message)
+  const stemmed = Object.fromEntries(
+    detectLanguages(words).map((language) => [
+      language,
+      words.map(LANGUAGES[language].stem)
+    ])
+  )
+  const emojiText = normalizeEmoji(message)
+
+  const tags = taxonomy
+    .filter(
+      ({ phrases, emojis }) =>
+        phrases.some(
+          ({ language, words: phrase }) =>
+            stemmed[language] && containsPhrase(stemmed[language], phrase)
+        ) || emojis.some((emoji) => emojiText.includes(emoji))
+    )
+    .map(({ name }) => name)
+
+  return tags.length ? [...new Set(tags)] : [FALLBACK_TAG]
+}
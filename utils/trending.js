@@ -0,0 +1,38 @@
+/**
+ * Trending Utilities
+ * Purpose: Trending windows and the score formula, shared by both storage adapters.
+ * Usage: File storage calls trendingScore(); the Mongo adapter builds the same
+ *        formula as an aggregation expression from these constants.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+export const HOUR_MS = 60 * 60 * 1000
+
+// How far back hearts count for each window; "all" counts every heart
+export const TRENDING_WINDOWS = {
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS,
+  week: 7 * 24 * HOUR_MS,
+  all: null
+}
+
+// How long each heart's time is kept: longer than the longest window, the
+// heart counts on thoughts are what last
+export const HEART_LOG_DAYS = 14
+
+// How quickly older thoughts sink (Hacker News uses 1.8)
+export const TRENDING_GRAVITY = 1.5
+
+// Added to a thought's age in hours so brand-new thoughts don't shoot up
+// on a single heart
+export const TRENDING_AGE_OFFSET = 2
+
+/**
+ * Hearts in the window, divided by the thought's age so a years-old thought
+ * can't stay on top forever: hearts / (age in hours + 2) ^ 1.5
+ */
+export const trendingScore = (hearts, createdAt, now = new Date()) => {
+  const ageHours = Math.max(0, (now - new Date(createdAt)) / HOUR_MS)
+  return hearts / (ageHours + TRENDING_AGE_OFFSET) ** TRENDING_GRAVITY
+}
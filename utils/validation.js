@@ -0,0 +1,188 @@
+/**
+ * Validation Rules
+ * Purpose: Small declarative rules (string, integer, objectId, ...) that check and convert request fields.
+ * Usage: Combined into request schemas in schemas/, which the validate middleware runs on each route.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+// A rule is a function that gets a present value and returns the value to
+// use (trimmed, converted to a number, ...) or throws a FieldError
+class FieldError extends Error {}
+
+const fail = (problem) => {
+  throw new FieldError(problem)
+}
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i
+
+export const string =
+  ({
+    min = 1,
+    max,
+    trim = true,
+    lowercase = false,
+    pattern,
+    patternMessage = 'has an invalid format'
+  } = {}) =>
+  (value) => {
+    if (typeof value !== 'string') fail('must be text')
+
+    let parsed = trim ? value.trim() : value
+    if (lowercase) parsed = parsed.toLowerCase()
+
+    if (parsed.length < min) {
+      fail(min === 1 ? 'cannot be empty' : `must be at least ${min} characters`)
+    }
+    if (max !== undefined && parsed.length > max) {
+      fail(`cannot exceed ${max} characters`)
+    }
+    if (pattern && !pattern.test(parsed)) fail(patternMessage)
+    return parsed
+  }
+
+// Numbers from the query string arrive as text. `cap` lowers larger values
+// instead of rejecting them.
+export const integer =
+  ({ min, max, cap } = {}) =>
+  (value) => {
+    const number = typeof value === 'string' ? Number(value) : value
+
+    if (!Number.isInteger(number)) fail('must be a whole number')
+    if (min !== undefined && number < min) fail(`must be at least ${min}`)
+    if (max !== undefined && number > max) fail(`cannot exceed ${max}`)
+    return cap !== undefined ? Math.min(number, cap) : number
+  }
+
+export const boolean = () => (value) => {
+  if (value === true || value === 'true') return true
+  if (value === false || value === 'false') return false
+  return fail('must be true or false')
+}
+
+export const date = () => (value) => {
+  const parsed = new Date(value)
+  if (typeof value !== 'string' || Number.isNaN(parsed.getTime())) {
+    fail('must be a valid date')
+  }
+  return parsed
+}
+
+// Checked up front so a malformed id is a 400, not a Mongoose CastError
+export const objectId = () => (value) => {
+  if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+    fail('must be a valid id')
+  }
+  return value
+}
+
+// An absolute http(s) URL, returned the way URL normalizes it
+export const httpUrl =
+  ({ max = 2000 } = {}) =>
+  (value) => {
+    if (typeof value !== 'string') fail('must be text')
+    if (value.length > max) fail(`cannot exceed ${max} characters`)
+
+    let parsed
+    try {
+      parsed = new URL(value.trim())
+    } catch {
+      parsed = null
+    }
+    if (!['http:', 'https:'].includes(parsed?.protocol)) {
+      fail('must be a valid http(s) URL')
+    }
+    return parsed.toString()
+  }
+
+export const oneOf = (values) => (value) => {
+  if (!values.includes(value)) fail(`must be one of: ${values.join(', ')}`)
+  return value
+}
+
+export const array =
+  (item, { min = 0, max } = {}) =>
+  (value) => {
+    if (!Array.isArray(value)) fail('must be a list')
+    if (value.length < min) {
+      fail(`must have at least ${min} ${min === 1 ? 'item' : 'items'}`)
+    }
+    if (max !== undefined && value.length > max) {
+      fail(`cannot have more than ${max} items`)
+    }
+
+    return value.map((entry, index) => {
+      try {
+        return item(entry)
+      } catch (error) {
+        if (error instanceof FieldError) {
+          fail(`item ${index + 1} ${error.message}`)
+        }
+        throw error
+      }
+    })
+  }
+
+// A JSON object; its contents are left to the service
+export const object = () => (value) => {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    fail('must be an object')
+  }
+  return value
+}
+
+// A field that must not be sent here, e.g. a query option posted in the body
+export const forbidden =
+  (problem = 'is not allowed') =>
+  () =>
+    fail(problem)
+
+/**
+ * Makes a field optional. Missing fields get `default` (or stay undefined);
+ * `nullable` lets an explicit null through, e.g. to clear a value.
+ */
+export const optional = (rule, { default: fallback, nullable = false } = {}) =>
+  Object.assign((value) => rule(value), {
+    optional: true,
+    defaultValue: fallback,
+    nullable
+  })
+
+/**
+ * Runs a schema ({ field: rule }) against an input object. Returns the
+ * converted values and a { field: problem } map of what failed. In the
+ * query string and path an empty value counts as missing.
+ */
+export const checkFields = (
+  schema,
+  input = {},
+  { emptyIsMissing = false } = {}
+) => {
+  const values = {}
+  const errors = {}
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = input[field]
+    const missing =
+      value === undefined || value === null || (emptyIsMissing && value === '')
+
+    try {
+      if (!missing) {
+        values[field] = rule(value)
+      } else if (value === null && rule.nullable) {
+        values[field] = null
+      } else if (rule.optional) {
+        if (rule.defaultValue !== undefined) {
+          values[field] = rule.defaultValue
+        }
+      } else {
+        fail('is required')
+      }
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error
+      errors[field] = error.message
+    }
+  }
+
+  return { values, errors }
+}
@@ -0,0 +1,56 @@
+/**
+ * Webhook Signature Utilities
+ * Purpose: Signs webhook bodies with HMAC-SHA256 and verifies those signatures.
+ * Usage: The webhook service signs deliveries; receivers (e.g. scripts/webhookReceiver.js) verify them.
+ * Author: Linda Schonfeldt
+ * Last Updated: October 19, 2026
+ */
+
+import crypto from 'crypto'
+
+// Signatures older than this are rejected, so a captured request can't be replayed later
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60
+
+const hmac = (secret, timestamp, body) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')
+
+/**
+ * Value for the X-Webhook-Signature header: "t=<unix seconds>,v1=<hex hmac>".
+ * The HMAC covers "<timestamp>.<raw body>".
+ */
+export const signWebhook = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${hmac(secret, timestamp, body)}`
+
+/**
+ * True when the header was made with this secret for this exact body,
+ * within the tolerance
+ */
+export const verifyWebhookSignature = (
+  secret,
+  header,
+  body,
+  { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}
+) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.trim().split('='))
+  )
+  const timestamp = parseInt(parts.t, 10)
+  if (!timestamp || !parts.v1) return false
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false
+
+  const expected = Buffer.from(hmac(secret, timestamp, body))
+  const received = Buffer.from(parts.v1)
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  )
+}